@@ -0,0 +1,72 @@
+// Headless model-vs-model tournament runner.
+//
+//   npm run tournament -- --config scripts/tournament.example.json --out tournament-results
+//
+// Writes <out>/games.pgn and <out>/results.json. The app's modules are loaded through
+// Vite's SSR loader, so extensionless imports, import.meta.glob (provider registration)
+// and src/keys.json all work exactly as they do in the browser.
+import { createServer } from "vite";
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+
+const { values: args } = parseArgs({
+  options: {
+    config: { type: "string", short: "c" },
+    out: { type: "string", short: "o", default: "tournament-results" },
+    verbose: { type: "boolean", short: "v", default: false },
+  },
+});
+
+if (!args.config) {
+  console.error("Usage: npm run tournament -- --config <config.json> [--out <dir>] [--verbose]");
+  process.exit(1);
+}
+
+const config = JSON.parse(await readFile(args.config, "utf8"));
+
+// Handlers log every request with console.log, which drowns out the progress lines
+if (!args.verbose) console.log = () => {};
+
+const server = await createServer({
+  appType: "custom",
+  logLevel: "error",
+  server: { middlewareMode: true, hmr: false },
+  // Nothing is served to a browser, so skip the dependency pre-bundling scan
+  optimizeDeps: { noDiscovery: true, include: [] },
+});
+
+try {
+  await server.ssrLoadModule("/src/utils/handlers/index.js");
+  const { initModel } = await server.ssrLoadModule("/src/utils/modelhandler.js");
+  const { runTournament } = await server.ssrLoadModule("/src/utils/tournament.js");
+
+  const models = [...new Set((config.participants || []).map(p => p.model))];
+  for (const model of models) {
+    if (!(await initModel(model))) {
+      throw new Error(`Could not initialize model "${model}" (check src/keys.json / the local server)`);
+    }
+  }
+
+  const results = await runTournament(config, {
+    onGame: (game, index, total) => {
+      const why = game.reason ? ` - ${game.reason}` : "";
+      console.info(`[${index + 1}/${total}] ${game.white} vs ${game.black}: ${game.result} (${game.termination}${why})`);
+    },
+  });
+
+  await mkdir(args.out, { recursive: true });
+  await writeFile(path.join(args.out, "games.pgn"), results.games.map(g => g.pgn).join("\n"));
+  await writeFile(path.join(args.out, "results.json"), JSON.stringify(results, null, 2));
+
+  console.info("\nStandings:");
+  for (const row of results.standings) {
+    console.info(`  ${row.name.padEnd(24)} ${String(row.points).padStart(5)} pts  +${row.wins} =${row.draws} -${row.losses}  illegal ${row.illegal}`);
+  }
+  console.info(`\nWrote ${path.join(args.out, "games.pgn")} and ${path.join(args.out, "results.json")}`);
+} catch (e) {
+  console.error(`Tournament failed: ${e.message}`);
+  process.exitCode = 1;
+} finally {
+  await server.close();
+}
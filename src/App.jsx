@@ -1,10 +1,35 @@
 // App.jsx
 
-import React from "react";
+import React, { useState } from "react";
 import ChessPage from "./pages/ChessPage";
+import LeaderboardPage from "./pages/LeaderboardPage";
+import HistoryPage from "./pages/HistoryPage";
+import EditorPage from "./pages/EditorPage";
+import PuzzlePage from "./pages/PuzzlePage";
+import { NavBar } from "./components/NavBar";
+import { GameProvider } from "./context/GameContext";
+
+const PAGES = [
+  { id: "play", name: "Play" },
+  { id: "editor", name: "Editor" },
+  { id: "puzzles", name: "Puzzles" },
+  { id: "history", name: "History" },
+  { id: "leaderboard", name: "Leaderboard" },
+];
 
 function App() {
-  return <ChessPage />;
+  const [page, setPage] = useState("play");
+
+  return (
+    <GameProvider>
+      <NavBar pages={PAGES} current={page} onNavigate={setPage} />
+      {page === "play" && <ChessPage />}
+      {page === "editor" && <EditorPage onPlay={() => setPage("play")} />}
+      {page === "puzzles" && <PuzzlePage />}
+      {page === "history" && <HistoryPage onOpen={() => setPage("play")} />}
+      {page === "leaderboard" && <LeaderboardPage />}
+    </GameProvider>
+  );
 }
 
-export default App;
\ No newline at end of file
+export default App;
@@ -1,13 +1,19 @@
-import React, { useState, useCallback, useEffect } from "react";
+import React, { useState, useCallback, useEffect, useRef } from "react";
+import { createPortal } from "react-dom";
 import Square from "./Square";
+import Piece from "./Piece";
 import styles from "./styles/Chessboard.module.scss";
 import { useGame } from "../context/GameContext";
 
+// Pixels the pointer has to travel before a press becomes a drag (anything less is a click)
+const DRAG_THRESHOLD = 4;
+
 const Chessboard = () => {
   const {
     
     board,
     playerColor,
+    gameMode,
     isThinking,
     viewingMoveIndex,
     lastMove,
@@ -20,6 +26,16 @@ const Chessboard = () => {
 
   const [selected, setSelected] = useState(null);
   const [possibleMoves, setPossibleMoves] = useState([]);
+  // Piece under the pointer: { row, col, piece, startX, startY, x, y, size, moved }
+  const [drag, setDrag] = useState(null);
+  // Window listeners read the drag from here so they don't resubscribe on every pointermove
+  const dragRef = useRef(null);
+  const boardRef = useRef(null);
+
+  const updateDrag = useCallback((next) => {
+    dragRef.current = next;
+    setDrag(next);
+  }, []);
 
   const getLegalMovesForSquare = useCallback((row, col) => {
     const tracker = trackerRef.current;
@@ -37,54 +53,133 @@ const Chessboard = () => {
       }));
   }, [trackerRef]);
 
-  const handleSquareClick = useCallback((row, col) => {
-    if (viewingMoveIndex !== null || isThinking) return;
+  // Nobody moves by hand in AI vs AI
+  const canInteract = viewingMoveIndex === null && !isThinking && gameMode !== 'ai-vs-ai';
 
-    const clickedPiece = board[row][col];
+  // The player's own piece, on the player's turn
+  const canPickUp = useCallback((row, col) => {
+    const piece = board[row][col];
+    if (!piece) return false;
+
+    const isWhitePiece = piece === piece.toUpperCase();
+    const isPlayerPiece = (playerColor === 'w' && isWhitePiece) ||
+      (playerColor === 'b' && !isWhitePiece);
+    return isPlayerPiece && trackerRef.current.turn() === playerColor;
+  }, [board, playerColor, trackerRef]);
+
+  const playMove = useCallback((from, to) => {
     const files = "abcdefgh";
-    
+    const fromSquare = files[from.col] + (8 - from.row);
+    const toSquare = files[to.col] + (8 - to.row);
+    const piece = board[from.row][from.col];
+    const isPawnPromotion = piece?.toLowerCase() === 'p' && (to.row === 0 || to.row === 7);
 
-    
-    if (selected && possibleMoves.some((m) => m.row === row && m.col === col)) {
-      const fromSquare = files[selected.col] + (8 - selected.row);
-      const toSquare = files[col] + (8 - row);
-      const piece = board[selected.row][selected.col];
-      const isPawnPromotion = piece?.toLowerCase() === 'p' && (row === 0 || row === 7);
+    const success = makePlayerMove(fromSquare, toSquare, isPawnPromotion ? 'q' : null);
+
+    if (success) {
+      setSelected(null);
+      setPossibleMoves([]);
+    }
+    return success;
+  }, [board, makePlayerMove]);
 
-      const success = makePlayerMove(fromSquare, toSquare, isPawnPromotion ? 'q' : null);
+  const handleSquareClick = useCallback((row, col) => {
+    if (!canInteract) return;
 
-      if (success) {
-        setSelected(null);
-        setPossibleMoves([]);
-      }
+    if (selected && possibleMoves.some((m) => m.row === row && m.col === col)) {
+      playMove(selected, { row, col });
       return;
     }
 
-    
-    if (clickedPiece) {
-      const isWhitePiece = clickedPiece === clickedPiece.toUpperCase();
-      const isPlayerPiece = (playerColor === 'w' && isWhitePiece) ||
-        (playerColor === 'b' && !isWhitePiece);
-      const isPlayerTurn = trackerRef.current.turn() === playerColor;
-
-      if (isPlayerPiece && isPlayerTurn) {
-        setSelected({ row, col });
-        setPossibleMoves(getLegalMovesForSquare(row, col));
-        return;
-      }
+    if (canPickUp(row, col)) {
+      setSelected({ row, col });
+      setPossibleMoves(getLegalMovesForSquare(row, col));
+      return;
     }
 
-    
     setSelected(null);
     setPossibleMoves([]);
-  }, [board, selected, possibleMoves, viewingMoveIndex, isThinking, playerColor, getLegalMovesForSquare, makePlayerMove, trackerRef]);
+  }, [selected, possibleMoves, canInteract, canPickUp, getLegalMovesForSquare, playMove]);
+
+  // { row, col } under a viewport point, null off the board
+  const squareAt = useCallback((x, y) => {
+    const rect = boardRef.current?.getBoundingClientRect();
+    if (!rect) return null;
+
+    const col = Math.floor((x - rect.left) / (rect.width / 8));
+    const row = Math.floor((y - rect.top) / (rect.height / 8));
+    if (row < 0 || row > 7 || col < 0 || col > 7) return null;
+    return { row, col };
+  }, []);
+
+  // Pointer events cover mouse, touch and pen alike
+  const handlePointerDown = (e, row, col) => {
+    if (e.button !== 0 || !canInteract || !canPickUp(row, col)) return;
+
+    const rect = boardRef.current.getBoundingClientRect();
+    updateDrag({
+      row,
+      col,
+      piece: board[row][col],
+      startX: e.clientX,
+      startY: e.clientY,
+      x: e.clientX,
+      y: e.clientY,
+      size: rect.width / 8,
+      moved: false,
+    });
+  };
+
+  const isDragging = drag !== null;
 
-  
   useEffect(() => {
-    
-    
-    
-  }, [board]);
+    if (!isDragging) return;
+
+    const handleMove = (e) => {
+      const current = dragRef.current;
+      if (!current) return;
+
+      const moved = current.moved ||
+        Math.hypot(e.clientX - current.startX, e.clientY - current.startY) > DRAG_THRESHOLD;
+      // Picking the piece up shows its targets, same as selecting it by click
+      if (moved && !current.moved) {
+        setSelected({ row: current.row, col: current.col });
+        setPossibleMoves(getLegalMovesForSquare(current.row, current.col));
+      }
+      updateDrag({ ...current, x: e.clientX, y: e.clientY, moved });
+    };
+
+    const handleUp = (e) => {
+      const current = dragRef.current;
+      updateDrag(null);
+      // A press that never moved is a click, and onClick already handles those
+      if (!current?.moved) return;
+
+      const target = squareAt(e.clientX, e.clientY);
+      const isLegal = target && getLegalMovesForSquare(current.row, current.col)
+        .some(m => m.row === target.row && m.col === target.col);
+      // Anything else snaps back: the piece never left its square, it was only hidden
+      if (isLegal) playMove(current, target);
+    };
+
+    const handleCancel = () => updateDrag(null);
+
+    window.addEventListener('pointermove', handleMove);
+    window.addEventListener('pointerup', handleUp);
+    window.addEventListener('pointercancel', handleCancel);
+    return () => {
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+      window.removeEventListener('pointercancel', handleCancel);
+    };
+  }, [isDragging, getLegalMovesForSquare, playMove, squareAt, updateDrag]);
+
+  // Drop a drag in progress if the position changes under it (history navigation, a new game)
+  useEffect(() => {
+    if (dragRef.current) updateDrag(null);
+  }, [board, updateDrag]);
+
+  const dragTarget = drag?.moved ? squareAt(drag.x, drag.y) : null;
 
   return (
     <div className={styles.gameLayout}>
@@ -96,7 +191,7 @@ const Chessboard = () => {
           </div>
         )}
         <div className={styles.boardInner}>
-          <div className={styles.chessboard}>
+          <div className={styles.chessboard} ref={boardRef}>
             {board.flatMap((rowData, row) =>
               rowData.map((piece, col) => {
                 const isDark = (row + col) % 2 === 1;
@@ -107,6 +202,8 @@ const Chessboard = () => {
                 );
                 const isLastMoveFrom = lastMove && lastMove.from.row === row && lastMove.from.col === col;
                 const isLastMoveTo = lastMove && lastMove.to.row === row && lastMove.to.col === col;
+                const isDragSource = drag?.moved && drag.row === row && drag.col === col;
+                const isDragOver = isPossibleMove && dragTarget?.row === row && dragTarget?.col === col;
 
                 return (
                   <Square
@@ -118,7 +215,10 @@ const Chessboard = () => {
                     isCaptureMove={isCaptureMove}
                     isLastMoveFrom={isLastMoveFrom}
                     isLastMoveTo={isLastMoveTo}
+                    isDragSource={isDragSource}
+                    isDragOver={isDragOver}
                     onClick={() => handleSquareClick(row, col)}
+                    onPointerDown={(e) => handlePointerDown(e, row, col)}
                   />
                 );
               })
@@ -132,6 +232,16 @@ const Chessboard = () => {
           </div>
         )}
       </div>
+      {/* In a portal so the board's overflow: hidden can't clip it */}
+      {drag?.moved && createPortal(
+        <div
+          className={styles.dragPiece}
+          style={{ left: drag.x, top: drag.y, width: drag.size, height: drag.size }}
+        >
+          <Piece type={drag.piece} />
+        </div>,
+        document.body
+      )}
     </div>
   );
 };
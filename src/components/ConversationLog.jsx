@@ -18,11 +18,23 @@ export const ConversationLog = ({ conversation, currentPendingPrompt }) => {
                 return (
                     <div key={msg.id || i} className={`${styles.message} ${styles[roleClass]}`}>
                         <div className={styles.roleLabel}>
-                            {isError ? "System Error" : (msg.role === "user" ? "Query Sent" : "Model Response")}
+                            {isError ? "System Error" : (msg.role === "user" ? (msg.meta?.retry ? "Retry Sent" : "Query Sent") : "Model Response")}
+                            {msg.meta?.attempt > 1 && ` · attempt ${msg.meta.attempt}`}
                         </div>
 
                         <div className={`${styles.bubble} ${isError ? styles.errorBubble : ''}`}>
-                            <div className={styles.content}>{msg.content}</div>
+                            {msg.meta?.reasoning ? (
+                                <>
+                                    <div className={styles.reasoningLabel}>Reasoning</div>
+                                    <div className={styles.content}>{msg.meta.reasoning}</div>
+                                    <details className={styles.rawReply}>
+                                        <summary>Raw reply</summary>
+                                        <div className={styles.content}>{msg.content}</div>
+                                    </details>
+                                </>
+                            ) : (
+                                <div className={styles.content}>{msg.content}</div>
+                            )}
 
                             {msg.derivedMove && (
                                 <div className={styles.metaInfo}>
@@ -36,8 +48,18 @@ export const ConversationLog = ({ conversation, currentPendingPrompt }) => {
                                 <div className={styles.metaInfo}>
                                     <span className={styles.moveLabel}>Derived Move:</span>
                                     <span className={styles.moveValue}>{msg.meta.move}</span>
+                                    {msg.meta.forced && <span className={styles.illegalTag}>Forced (illegal)</span>}
+                                    {msg.meta.rejected && <span className={styles.illegalTag}>Rejected</span>}
+                                </div>
+                            )}
+                            {msg.meta?.parse && (
+                                <div className={styles.parseInfo}>
+                                    Parsed with {Math.round(msg.meta.parse.confidence * 100)}% confidence: {msg.meta.parse.reason}
                                 </div>
                             )}
+                            {msg.meta?.forceReason && (
+                                <div className={styles.forceReason}>Forced as {msg.meta.forceReason}</div>
+                            )}
                         </div>
                     </div>
                 );
@@ -0,0 +1,47 @@
+import React from "react";
+import styles from "./styles/GameStats.module.scss";
+import { useGame } from "../context/GameContext";
+
+const StatsPanel = ({ title, stats }) => {
+  const items = [
+    { label: "Illegal", value: stats.illegal, hint: `${stats.forced} forced` },
+    { label: "Unparseable", value: stats.unparseable },
+    { label: "Retries", value: stats.retries },
+    { label: "Off the rails", value: stats.firstFailureMove === null ? "—" : `move ${stats.firstFailureMove}` },
+  ];
+
+  return (
+    <div className={styles.statsPanel}>
+      <div className={styles.header}>
+        <span className={styles.title}>{title}</span>
+      </div>
+      <dl className={styles.statsGrid}>
+        {items.map(item => (
+          <div key={item.label} className={styles.stat}>
+            <dt className={styles.statLabel}>{item.label}</dt>
+            <dd className={styles.statValue}>
+              {item.value}
+              {item.hint && <span className={styles.statHint}>{item.hint}</span>}
+            </dd>
+          </div>
+        ))}
+      </dl>
+    </div>
+  );
+};
+
+export const GameStats = () => {
+  const { gameStats, gameMode, playerColor } = useGame();
+
+  // AI vs AI: one panel per side
+  if (gameMode === "ai-vs-ai") {
+    return (
+      <>
+        <StatsPanel title="White Model Stats" stats={gameStats.w} />
+        <StatsPanel title="Black Model Stats" stats={gameStats.b} />
+      </>
+    );
+  }
+
+  return <StatsPanel title="Model Stats" stats={gameStats[playerColor === "w" ? "b" : "w"]} />;
+};
@@ -0,0 +1,18 @@
+import React from "react";
+import styles from "./styles/NavBar.module.scss";
+
+export const NavBar = ({ pages, current, onNavigate }) => {
+  return (
+    <nav className={styles.navBar}>
+      {pages.map(page => (
+        <button
+          key={page.id}
+          className={`${styles.navLink} ${current === page.id ? styles.active : ""}`}
+          onClick={() => onNavigate(page.id)}
+        >
+          {page.name}
+        </button>
+      ))}
+    </nav>
+  );
+};
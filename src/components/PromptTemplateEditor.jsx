@@ -0,0 +1,131 @@
+import React, { useState, useRef } from "react";
+import styles from "./styles/PromptTemplateEditor.module.scss";
+import { useGame } from "../context/GameContext";
+import { buildTemplateVars } from "../utils/modelhandler";
+import { DEFAULT_TEMPLATES, PROMPT_TYPES, TEMPLATE_VARIABLES, hintsForMode, renderTemplate } from "../utils/promptTemplates";
+
+// Edits one prompt type. Re-mounted (via key) whenever the type or selected preset changes,
+// so the draft always starts from the template that's actually in use.
+const TemplateForm = ({ type, selectedName, initialBody }) => {
+  const {
+    trackerRef,
+    queryFormat,
+    promptHints,
+    playerColor,
+    savePromptTemplate,
+    deletePromptTemplate,
+    selectPromptTemplate,
+  } = useGame();
+
+  const [body, setBody] = useState(initialBody);
+  const [name, setName] = useState(selectedName || "");
+  const textareaRef = useRef(null);
+
+  const aiColor = playerColor === "w" ? "b" : "w";
+  // Preview with the hints of the mode this template belongs to
+  const mode = type === "initial" || type === "followup" ? "conversation" : type;
+  const vars = buildTemplateVars(trackerRef.current, queryFormat, aiColor, mode, hintsForMode(promptHints, mode));
+  const preview = renderTemplate(body, vars);
+
+  const insertVariable = (id) => {
+    const el = textareaRef.current;
+    const token = `{{${id}}}`;
+    const start = el ? el.selectionStart : body.length;
+    const end = el ? el.selectionEnd : body.length;
+    setBody(body.slice(0, start) + token + body.slice(end));
+  };
+
+  const handleSave = () => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    savePromptTemplate(trimmed, type, body);
+    selectPromptTemplate(type, trimmed);
+  };
+
+  return (
+    <>
+      <div className={styles.variables}>
+        {TEMPLATE_VARIABLES.map(v => (
+          <button key={v.id} className={styles.variableChip} title={v.description} onClick={() => insertVariable(v.id)}>
+            {`{{${v.id}}}`}
+          </button>
+        ))}
+      </div>
+
+      <textarea
+        ref={textareaRef}
+        className={styles.templateInput}
+        value={body}
+        onChange={(e) => setBody(e.target.value)}
+        spellCheck={false}
+        rows={8}
+      />
+
+      <div className={styles.actions}>
+        <input
+          className={styles.nameInput}
+          placeholder="Preset name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+        <button className={styles.actionBtn} onClick={handleSave} disabled={!name.trim()}>
+          Save preset
+        </button>
+        {selectedName && (
+          <button className={styles.actionBtn} onClick={() => deletePromptTemplate(selectedName, type)}>
+            Delete
+          </button>
+        )}
+        <button className={styles.actionBtn} onClick={() => setBody(DEFAULT_TEMPLATES[type])}>
+          Reset to default
+        </button>
+      </div>
+
+      <div className={styles.previewLabel}>Preview (current position)</div>
+      <pre className={styles.preview}>{preview}</pre>
+    </>
+  );
+};
+
+export const PromptTemplateEditor = () => {
+  const { templateStore, selectPromptTemplate } = useGame();
+  const [type, setType] = useState("full");
+
+  const presets = templateStore.presets.filter(p => p.type === type);
+  const selectedName = templateStore.selection[type] || "";
+  const selectedPreset = presets.find(p => p.name === selectedName);
+
+  return (
+    <div className={styles.editor}>
+      <div className={styles.typeTabs}>
+        {PROMPT_TYPES.map(t => (
+          <button
+            key={t.id}
+            className={`${styles.typeTab} ${type === t.id ? styles.activeTab : ""}`}
+            onClick={() => setType(t.id)}
+            title={t.description}
+          >
+            {t.name}
+          </button>
+        ))}
+      </div>
+
+      <label className={styles.presetSelect}>
+        <span>Uses</span>
+        <select value={selectedName} onChange={(e) => selectPromptTemplate(type, e.target.value || null)}>
+          <option value="">Built-in default</option>
+          {presets.map(p => (
+            <option key={p.name} value={p.name}>{p.name}</option>
+          ))}
+        </select>
+      </label>
+
+      <TemplateForm
+        key={`${type}:${selectedName}`}
+        type={type}
+        selectedName={selectedPreset ? selectedName : ""}
+        initialBody={selectedPreset ? selectedPreset.body : DEFAULT_TEMPLATES[type]}
+      />
+    </div>
+  );
+};
@@ -10,7 +10,15 @@ const Square = ({
   isCaptureMove,
   isLastMoveFrom,
   isLastMoveTo,
+  // Pointer drag on the play board: the piece is following the pointer / would land here
+  isDragSource,
+  isDragOver,
   onClick,
+  onPointerDown,
+  // HTML5 drag and drop, only wired up by the board editor
+  onDragStart,
+  onDragEnd,
+  onDrop,
 }) => {
   const classNames = [
     styles.square,
@@ -18,10 +26,21 @@ const Square = ({
     isSelected && styles.selected,
     isLastMoveFrom && styles.lastMoveFrom,
     isLastMoveTo && styles.lastMoveTo,
+    isDragSource && styles.dragSource,
+    isDragOver && styles.dragOver,
   ].filter(Boolean).join(' ');
 
   return (
-    <div onClick={onClick} className={classNames}>
+    <div
+      onClick={onClick}
+      onPointerDown={onPointerDown}
+      className={classNames}
+      draggable={Boolean(onDragStart && piece)}
+      onDragStart={onDragStart}
+      onDragEnd={onDragEnd}
+      onDragOver={onDrop ? (e) => e.preventDefault() : undefined}
+      onDrop={onDrop}
+    >
       {isPossibleMove && !isCaptureMove && <div className={styles.possibleMoveIndicator} />}
       {isCaptureMove && <div className={styles.captureMoveIndicator} />}
       {piece && <Piece type={piece} />}
@@ -0,0 +1,70 @@
+import React, { useMemo, useState } from "react";
+import styles from "./styles/StartPositionPicker.module.scss";
+import { useGame } from "../context/GameContext";
+import { ChessTracker } from "../utils/ChessTracker";
+import { listStartPositions, openingLine } from "../utils/startPositions";
+
+const GROUPS = ["Openings", "Endgames", "Mates"];
+
+// Picks where new games start: the normal position, an opening, a benchmark position or a pasted FEN.
+// Choosing one starts a new game straight away.
+export const StartPositionPicker = () => {
+  const { startPosition, chooseStartPosition } = useGame();
+  const positions = useMemo(listStartPositions, []);
+
+  const [customFen, setCustomFen] = useState(startPosition?.id === "custom" ? startPosition.fen : "");
+  const [showCustom, setShowCustom] = useState(startPosition?.id === "custom");
+  const fenError = customFen.trim() ? ChessTracker.validateFen(customFen) : null;
+
+  const selected = showCustom ? "custom" : startPosition?.id || "";
+
+  const handleSelect = (id) => {
+    if (id === "custom") {
+      setShowCustom(true);
+      return;
+    }
+    setShowCustom(false);
+    chooseStartPosition(positions.find(p => p.id === id) || null);
+  };
+
+  const handleStartCustom = () => {
+    if (!customFen.trim() || fenError) return;
+    chooseStartPosition({ id: "custom", name: "Custom position", fen: customFen.trim() });
+  };
+
+  return (
+    <div className={styles.picker}>
+      <select value={selected} onChange={(e) => handleSelect(e.target.value)}>
+        <option value="">Standard starting position</option>
+        {GROUPS.map(group => (
+          <optgroup key={group} label={group}>
+            {positions.filter(p => p.group === group).map(p => (
+              <option key={p.id} value={p.id}>{p.eco ? `${p.eco} ${p.name}` : p.name}</option>
+            ))}
+          </optgroup>
+        ))}
+        <option value="custom">Custom FEN…</option>
+      </select>
+
+      {showCustom && (
+        <div className={styles.customFen}>
+          <input
+            className={styles.fenInput}
+            value={customFen}
+            onChange={(e) => setCustomFen(e.target.value)}
+            placeholder="rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1"
+            spellCheck={false}
+          />
+          <button className={styles.startBtn} onClick={handleStartCustom} disabled={!customFen.trim() || Boolean(fenError)}>
+            Start
+          </button>
+        </div>
+      )}
+      {showCustom && fenError && <p className={styles.error}>{fenError}</p>}
+
+      {startPosition && !showCustom && (
+        <code className={styles.fen}>{startPosition.moves ? openingLine(startPosition.moves) : startPosition.fen}</code>
+      )}
+    </div>
+  );
+};
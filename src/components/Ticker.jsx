@@ -55,11 +55,15 @@ export const Ticker = () => {
                     ${isWhite ? styles.whiteMove : styles.blackMove}
                     ${isViewing ? styles.viewingMove : ''}
                     ${isPast ? styles.futureMove : ''}
+                    ${move.isForced ? styles.forcedMove : ''}
                   `}
                   onClick={() => viewMove(i)}
+                  title={move.isForced ? `Illegal move forced onto the board${move.forceReason ? ` (${move.forceReason})` : ''}` : undefined}
                 >
-                  <span className={styles.moveNumber}>{Math.floor(i / 2) + 1}{isWhite ? '.' : '...'}</span>
+                  <span className={styles.moveNumber}>{move.moveNumber}{isWhite ? '.' : '...'}</span>
                   <span className={styles.moveText}>{move.san}</span>
+                  {/* "??" like the $4 the PGN export gives forced moves */}
+                  {move.isForced && <span className={styles.forcedMark} aria-label="forced illegal move">??</span>}
                 </li>
               );
             })}
@@ -1,6 +1,15 @@
-import React, { createContext, useContext, useState, useCallback, useRef, useEffect } from 'react';
+import React, { createContext, useContext, useState, useCallback, useRef, useEffect, useMemo } from 'react';
 import { ChessTracker } from '../utils/ChessTracker';
-import { getMove, buildSmartPrompt } from '../utils/modelhandler';
+import { createSideStats, recordStatEvent } from '../utils/gameStats';
+import { buildSmartPrompt } from '../utils/modelhandler';
+import { playAITurn } from '../utils/aiTurn';
+import { loadTemplateStore, saveTemplateStore, resolveTemplates, DEFAULT_PROMPT_HINTS, hintsForMode, hintsInUse } from '../utils/promptTemplates';
+import { createGameRecord, createGameId, resultFromStatus, recordFromPgn } from '../utils/gameRecord';
+import { saveGameResult } from '../utils/resultStore';
+import { saveArchivedGame } from '../utils/gameArchive';
+import { clearLiveGame, loadLiveGame, saveLiveGame } from '../utils/liveGameStore';
+// Side-effect import: registers every model provider
+import '../utils/handlers';
 
 const GameContext = createContext(null);
 
@@ -18,15 +27,42 @@ export const GameProvider = ({ children }) => {
 
     
     const [playerColor, setPlayerColor] = useState("w"); 
+    // 'human' (player vs selectedModel) | 'ai-vs-ai' (aiPlayers.w vs aiPlayers.b)
+    const [gameMode, setGameMode] = useState("human");
+    const [aiPlayers, setAiPlayers] = useState({
+        w: { model: "random", queryFormat: "fen", promptMode: "full" },
+        b: { model: "random", queryFormat: "fen", promptMode: "full" }
+    });
+    // AI vs AI pacing: ms between moves, and whether autoplay is paused
+    const [aiDelay, setAiDelay] = useState(1000);
+    const [aiPaused, setAiPaused] = useState(false);
     const [selectedModel, setSelectedModel] = useState("random");
     const [modelStatus, setModelStatus] = useState("ready"); 
+    // Bumped to re-run model initialization when a restored game keeps the same model(s)
+    const [modelInitKey, setModelInitKey] = useState(0);
     const [queryFormat, setQueryFormat] = useState("fen");
     const [promptMode, setPromptMode] = useState("full");
+    // Saved prompt template presets + which one each prompt type uses (persisted to localStorage)
+    const [templateStore, setTemplateStore] = useState(loadTemplateStore);
+    const activeTemplates = useMemo(() => resolveTemplates(templateStore), [templateStore]);
+    // Which optional hints (legal moves, side to move, ...) go into prompts, per prompt mode
+    const [promptHints, setPromptHints] = useState(DEFAULT_PROMPT_HINTS);
+    // fallback: 'pause' | 'random' | 'forfeit', used once maxAttempts replies fail
+    const [retryPolicy, setRetryPolicy] = useState({ maxAttempts: 3, fallback: 'pause' });
+    // mode: 'chaos' (force onto the board) | 'strict' (reject + re-prompt) | 'tournament' (lose after maxIllegal)
+    const [illegalMovePolicy, setIllegalMovePolicy] = useState({ mode: 'chaos', maxIllegal: 3 });
+    // Where new games start: null (normal position) or { id, name, fen, eco?, moves? } (see startPositions.js).
+    // The ref lets resetGame see a position chosen in the same click.
+    const [startPosition, setStartPosition] = useState(null);
+    const startPositionRef = useRef(null);
 
     
     const [board, setBoard] = useState(trackerRef.current.getCurrentBoard());
     const [moveHistory, setMoveHistory] = useState([]);
     const [gameStatus, setGameStatus] = useState(null); 
+    const [statusReason, setStatusReason] = useState(null);
+    // Per side, so both models in AI vs AI get their own counters
+    const [gameStats, setGameStats] = useState(createSideStats);
     const [conversation, setConversation] = useState([]); 
     const [currentPrompt, setCurrentPrompt] = useState({ type: "", content: "" }); 
     const [gameKey, setGameKey] = useState(0); 
@@ -35,8 +71,30 @@ export const GameProvider = ({ children }) => {
     const [isThinking, setIsThinking] = useState(false);
     const [viewingMoveIndex, setViewingMoveIndex] = useState(null);
     const [lastMove, setLastMove] = useState(null);
+    // Id of the archived game being replayed (read-only board), null while playing
+    const [replayGameId, setReplayGameId] = useState(null);
+    // Unfinished game left over from before a reload, offered until resumed or discarded
+    const [restorableGame, setRestorableGame] = useState(loadLiveGame);
+
+    // The player's own settings while a replay has swapped in the archived game's; put back on leaving it
+    const liveSettingsRef = useRef(null);
 
     const hasTriggeredInitialAI = useRef(false);
+    // Set when a restored game was waiting on the AI; it moves once the model is ready
+    const pendingResumeRef = useRef(false);
+    // Bumped on reset so a reply that arrives after "New Match" is dropped
+    const gameIdRef = useRef(0);
+    // Archive key + start time of the current game
+    const archiveIdRef = useRef(createGameId());
+    const startedAtRef = useRef(new Date().toISOString());
+    // Ref copy so tournament mode can read the count mid-move
+    const statsRef = useRef(createSideStats());
+
+    // makeAIMove is often called from a stale closure (setTimeout), so read history from a ref
+    const conversationRef = useRef(conversation);
+    useEffect(() => {
+        conversationRef.current = conversation;
+    }, [conversation]);
 
 
     const updateDisplay = useCallback(() => {
@@ -50,11 +108,16 @@ export const GameProvider = ({ children }) => {
     }, [viewingMoveIndex]);
 
     const aiColor = playerColor === "w" ? "b" : "w";
+    const isAiVsAi = gameMode === "ai-vs-ai";
+    const whiteModel = aiPlayers.w.model;
+    const blackModel = aiPlayers.b.model;
 
     useEffect(() => {
         
         const initialize = async () => {
-            if (selectedModel === 'random') {
+            const models = [...new Set(gameMode === 'ai-vs-ai' ? [whiteModel, blackModel] : [selectedModel])]
+                .filter(m => m !== 'random');
+            if (models.length === 0) {
                 setModelStatus('ready');
                 return;
             }
@@ -62,8 +125,9 @@ export const GameProvider = ({ children }) => {
             setModelStatus('initializing');
             try {
                 
-                const success = await import('../utils/modelhandler').then(m => m.initModel(selectedModel));
-                if (success) {
+                const { initModel } = await import('../utils/modelhandler');
+                const results = await Promise.all(models.map(m => initModel(m)));
+                if (results.every(Boolean)) {
                     setModelStatus('ready');
                 } else {
                     setModelStatus('error');
@@ -75,120 +139,89 @@ export const GameProvider = ({ children }) => {
         };
 
         initialize();
-    }, [selectedModel]);
+    }, [gameMode, selectedModel, whiteModel, blackModel, modelInitKey]);
 
    
    
    
 
-    const makeAIMove = useCallback(async () => {
+    const makeAIMove = useCallback(async ({ resume = false } = {}) => {
         const tracker = trackerRef.current;
 
         
-        if (tracker.isGameOver()) return;
-        if (tracker.turn() !== aiColor) return;
-
-        
-        if (modelStatus !== 'ready') {
+        if (tracker.isGameOver() || replayGameId) return;
+        // In AI vs AI whoever is to move is an AI; otherwise only aiColor is
+        const side = tracker.turn();
+        if (gameMode !== 'ai-vs-ai' && side !== aiColor) return;
+        const { model, queryFormat: format, promptMode: mode } = gameMode === 'ai-vs-ai'
+            ? aiPlayers[side]
+            : { model: selectedModel, queryFormat, promptMode };
+        const sideName = gameMode === 'ai-vs-ai' ? (side === 'w' ? 'White' : 'Black') : 'AI';
+        const gameId = gameIdRef.current;
+
+        // A paused game (retries exhausted) can be resumed explicitly
+        const canRun = modelStatus === 'ready' || (resume && modelStatus === 'error');
+        if (!canRun) {
             console.warn("AI called but model not ready:", modelStatus);
             return;
         }
 
         setIsThinking(true);
+        setModelStatus('ready');
+
+        // Entries are tagged with the side so each model only ever sees its own conversation,
+        // and with the ply they belong to so PGN export can attach replies to their move
+        const ply = tracker.totalMoves;
+        const log = (entry) => setConversation(prev => [...prev, { timestamp: Date.now(), side, ply, ...entry }]);
+        const recordStat = (event, moveNumber) => {
+            statsRef.current = { ...statsRef.current, [side]: recordStatEvent(statsRef.current[side], event, moveNumber) };
+            setGameStats(statsRef.current);
+        };
 
-        
-        const promptObj = buildSmartPrompt(tracker, queryFormat, promptMode, aiColor);
-
-        
-        setConversation(prev => [...prev, {
-            role: 'user',
-            content: promptObj.content,
-            timestamp: Date.now()
-        }]);
+        // Earlier turns only - the handler appends the current prompt itself
+        const history = conversationRef.current.filter(entry => entry.side === side);
 
         try {
-            
-            await new Promise(resolve => setTimeout(resolve, 300));
-
-            
-            const moveResult = await getMove(tracker, selectedModel, queryFormat);
-
-            if (moveResult && moveResult.san) {
-                const { raw, san } = moveResult;
-
-                
-                setConversation(prev => [...prev, {
-                    role: 'model',
-                    content: raw,
-                    meta: { move: san },
-                    timestamp: Date.now()
-                }]);
-
-                
-                const result = tracker.makeForceMoveFromSan(san);
-
-                if (result && result.move) {
-                    const { move, isIllegal } = result;
-
-                    if (isIllegal) {
-                        console.warn("AI played illegal move. Forcing:", san);
-                        
-                    }
-
-                    
-                    const files = "abcdefgh";
-                    const fromRow = 8 - parseInt(move.from[1]);
-                    const fromCol = files.indexOf(move.from[0]);
-                    const toRow = 8 - parseInt(move.to[1]);
-                    const toCol = files.indexOf(move.to[0]);
-
-                    setLastMove({
-                        from: { row: fromRow, col: fromCol },
-                        to: { row: toRow, col: toCol }
-                    });
-
-                } else {
-                    console.error("Failed to execute move:", san);
-                    
-                    setConversation(prev => [...prev, {
-                        id: Date.now() + 2,
-                        role: 'error',
-                        content: `Failed to execute move "${san}". It might be illegal or invalid.`,
-                        timestamp: new Date()
-                    }]);
-                    setModelStatus('error');
-                    setIsThinking(false);
-                    return;
-                }
-                
-                
-                
-
-            } else {
-                
-                
-                if (moveResult && moveResult.raw) {
-                    setConversation(prev => [...prev, {
-                        role: 'model',
-                        content: moveResult.raw,
-                        timestamp: Date.now()
-                    }]);
-                }
-
-                console.error("AI returned invalid format:", moveResult);
-
-                setConversation(prev => [...prev, {
-                    id: Date.now() + 2,
-                    role: 'error',
-                    content: `AI Response Error: Could not parse a valid move from the response.`,
-                    timestamp: new Date()
-                }]);
-
+            const outcome = await playAITurn(tracker, {
+                model,
+                queryFormat: format,
+                promptMode: mode,
+                history,
+                templates: activeTemplates,
+                promptHints,
+                illegalMovePolicy,
+                retryPolicy,
+                sideName,
+                log,
+                recordStat,
+                illegalCount: () => statsRef.current[side].illegal,
+                isCancelled: () => gameIdRef.current !== gameId,
+                delay: 300,
+            });
+            if (outcome.cancelled) return;
+            if (outcome.forfeit) {
+                setGameStatus('forfeit');
+                setStatusReason(outcome.forfeit);
+                return;
+            }
+            if (outcome.paused) {
+                // Retries exhausted - wait for the user to resume
                 setModelStatus('error');
-                setIsThinking(false);
                 return;
             }
 
+            const { move } = outcome;
+            const files = "abcdefgh";
+            const fromRow = 8 - parseInt(move.from[1]);
+            const fromCol = files.indexOf(move.from[0]);
+            const toRow = 8 - parseInt(move.to[1]);
+            const toCol = files.indexOf(move.to[0]);
+
+            setLastMove({
+                from: { row: fromRow, col: fromCol },
+                to: { row: toRow, col: toCol }
+            });
+
             
             updateDisplay();
             setViewingMoveIndex(null);
@@ -197,25 +230,32 @@ export const GameProvider = ({ children }) => {
             if (tracker.isGameOver()) {
                 setGameStatus(tracker.isCheckmate() ? 'checkmate' : 'draw');
             }
-            setModelStatus('ready');
 
         } catch (error) {
             console.error("AI Model Error:", error);
-            setConversation(prev => [...prev, {
-                id: Date.now() + 2,
-                role: 'error',
-                content: `Error: ${error.message || "Failed to get response from model."}`,
-                timestamp: new Date()
-            }]);
+            // A failed request (network, HTTP error, missing key) - shown, but never sent back to the model
+            if (gameIdRef.current !== gameId) return;
+            log({ role: 'error', content: error.message || "Failed to get response from model." });
             setModelStatus('error');
         } finally {
-            setIsThinking(false);
+            // resetGame already cleared it, and the next game may be thinking by now
+            if (gameIdRef.current === gameId) setIsThinking(false);
         }
-    }, [aiColor, queryFormat, promptMode, selectedModel, updateDisplay, modelStatus]);
+    }, [aiColor, gameMode, aiPlayers, queryFormat, promptMode, selectedModel, updateDisplay, modelStatus, retryPolicy, illegalMovePolicy, activeTemplates, promptHints, replayGameId]);
+
+    const resumeAI = useCallback(() => {
+        makeAIMove({ resume: true });
+    }, [makeAIMove]);
 
 
+    // AI vs AI: step one move while paused
+    const stepAI = useCallback(() => {
+        if (isThinking || gameStatus) return;
+        makeAIMove();
+    }, [isThinking, gameStatus, makeAIMove]);
+
     const makePlayerMove = useCallback((from, to, promotion = null) => {
-        if (isThinking || viewingMoveIndex !== null) return false;
+        if (isThinking || viewingMoveIndex !== null || gameStatus || isAiVsAi || replayGameId) return false;
 
         const tracker = trackerRef.current;
         const move = tracker.makeMove(from, to, promotion);
@@ -243,24 +283,238 @@ export const GameProvider = ({ children }) => {
             return true;
         }
         return false;
-    }, [isThinking, viewingMoveIndex, aiColor, updateDisplay, makeAIMove]);
+    }, [isThinking, viewingMoveIndex, gameStatus, isAiVsAi, replayGameId, aiColor, updateDisplay, makeAIMove]);
+
+    // Leaving a replay: back to the settings from before it, so the next game isn't the archived one's
+    const restoreLiveSettings = useCallback(() => {
+        const live = liveSettingsRef.current;
+        if (!live) return;
+        liveSettingsRef.current = null;
+        setGameMode(live.gameMode);
+        setPlayerColor(live.playerColor);
+        setSelectedModel(live.selectedModel);
+        setQueryFormat(live.queryFormat);
+        setPromptMode(live.promptMode);
+        setAiPlayers(live.aiPlayers);
+        startPositionRef.current = live.startPosition;
+        setStartPosition(live.startPosition);
+    }, []);
 
     const resetGame = useCallback((newPlayerColor = null) => {
-        trackerRef.current.reset();
+        restoreLiveSettings();
+        const start = startPositionRef.current;
+        // Openings are played out move by move so they show up in the history, PGN and prompts
+        if (start?.moves) trackerRef.current.playOpening(start.moves);
+        else trackerRef.current.reset(start?.fen);
+        gameIdRef.current += 1;
+        archiveIdRef.current = createGameId();
+        startedAtRef.current = new Date().toISOString();
+        pendingResumeRef.current = false;
+        // Starting over abandons the unfinished game (it stays in the archive)
+        clearLiveGame();
+        setReplayGameId(null);
         setGameStatus(null);
+        setStatusReason(null);
         setLastMove(null);
         setViewingMoveIndex(null);
         setCurrentPrompt({ type: "", content: "" });
         setConversation([]); 
         setIsThinking(false);
-        setMoveHistory([]);
+        setMoveHistory(trackerRef.current.getDetailedMoves());
         setBoard(trackerRef.current.getCurrentBoard());
         setGameKey(k => k + 1);
         hasTriggeredInitialAI.current = false;
+        statsRef.current = createSideStats();
+        setGameStats(statsRef.current);
 
         if (newPlayerColor) {
             setPlayerColor(newPlayerColor);
         }
+    }, [restoreLiveSettings]);
+
+    // Starts a new game from the chosen position (null = the normal one)
+    const chooseStartPosition = useCallback((position, newPlayerColor = null) => {
+        restoreLiveSettings();
+        startPositionRef.current = position;
+        setStartPosition(position);
+        resetGame(newPlayerColor);
+    }, [restoreLiveSettings, resetGame]);
+
+    useEffect(() => {
+        saveTemplateStore(templateStore);
+    }, [templateStore]);
+
+    // Saving under an existing name + type overwrites that preset
+    const savePromptTemplate = useCallback((name, type, body) => {
+        setTemplateStore(store => ({
+            ...store,
+            presets: [...store.presets.filter(p => !(p.name === name && p.type === type)), { name, type, body }]
+        }));
+    }, []);
+
+    const deletePromptTemplate = useCallback((name, type) => {
+        setTemplateStore(store => {
+            const selection = { ...store.selection };
+            if (selection[type] === name) delete selection[type];
+            return {
+                presets: store.presets.filter(p => !(p.name === name && p.type === type)),
+                selection
+            };
+        });
+    }, []);
+
+    // name === null goes back to the built-in template
+    const selectPromptTemplate = useCallback((type, name) => {
+        setTemplateStore(store => {
+            const selection = { ...store.selection };
+            if (name) selection[type] = name;
+            else delete selection[type];
+            return { ...store, selection };
+        });
+    }, []);
+
+    // Moves + the settings this game was played under (including prompt hints)
+    const getGameRecord = useCallback(() => createGameRecord({
+        id: archiveIdRef.current,
+        startedAt: startedAtRef.current,
+        conversation,
+        tracker: trackerRef.current,
+        settings: {
+            gameMode,
+            playerColor,
+            model: selectedModel,
+            queryFormat,
+            promptMode,
+            aiPlayers: gameMode === 'ai-vs-ai' ? aiPlayers : null,
+            // Only the hints of the prompt mode(s) actually played
+            promptHints: hintsInUse(promptHints, gameMode === 'ai-vs-ai' ? [aiPlayers.w.promptMode, aiPlayers.b.promptMode] : [promptMode]),
+            templates: activeTemplates,
+            illegalMovePolicy,
+            retryPolicy,
+            startPosition
+        },
+        stats: statsRef.current,
+        status: gameStatus,
+        statusReason,
+        result: resultFromStatus(gameStatus, trackerRef.current.turn())
+    }), [conversation, gameMode, playerColor, selectedModel, queryFormat, promptMode, aiPlayers, promptHints, activeTemplates, illegalMovePolicy, retryPolicy, startPosition, gameStatus, statusReason]);
+
+    // Finished games feed the leaderboard, once per game
+    const savedGameIdRef = useRef(null);
+    useEffect(() => {
+        if (!gameStatus || savedGameIdRef.current === gameIdRef.current) return;
+        savedGameIdRef.current = gameIdRef.current;
+        saveGameResult(getGameRecord());
+    }, [gameStatus, getGameRecord]);
+
+    // Archive the game as it goes (same id, so each save replaces the last) - nothing is lost
+    // on refresh or "Play Again". Replays of archived games are never re-saved.
+    useEffect(() => {
+        // Nothing to keep until someone moves (an opening line alone isn't a game yet)
+        if (replayGameId || moveHistory.length <= trackerRef.current.openingPlies) return;
+        saveArchivedGame(getGameRecord()).catch(e => console.warn("Could not archive game:", e));
+    }, [moveHistory, replayGameId, getGameRecord]);
+
+    // Keep the unfinished game in localStorage for a reload; finished games have nothing to resume
+    useEffect(() => {
+        if (replayGameId) return;
+        if (gameStatus) {
+            clearLiveGame();
+            return;
+        }
+        if (moveHistory.length <= trackerRef.current.openingPlies && conversation.length === 0) return;
+        saveLiveGame(getGameRecord());
+        // Playing on means the old game's slot has been overwritten
+        setRestorableGame(null);
+    }, [moveHistory, conversation, gameStatus, replayGameId, getGameRecord]);
+
+    // Puts a saved game record back on the board.
+    // replay: read-only (History page); otherwise play carries on (restore after reload).
+    const loadGameRecord = useCallback((record, { replay }) => {
+        const tracker = new ChessTracker(record.moves, record.startFen, record.openingPlies);
+        trackerRef.current = tracker;
+        gameIdRef.current += 1;
+        // Finished games are already on the leaderboard, unfinished ones get saved when they end
+        if (replay) savedGameIdRef.current = gameIdRef.current;
+        // The restored position decides whether the AI moves next, not the "AI plays White" kick-off
+        hasTriggeredInitialAI.current = true;
+
+        if (!replay) {
+            liveSettingsRef.current = null;
+        } else if (!liveSettingsRef.current) {
+            liveSettingsRef.current = { gameMode, playerColor, selectedModel, queryFormat, promptMode, aiPlayers, startPosition: startPositionRef.current };
+        }
+
+        const { settings } = record;
+        const mode = settings.gameMode || 'human';
+        const color = settings.playerColor || 'w';
+        setGameMode(mode);
+        setPlayerColor(color);
+        if (settings.model) setSelectedModel(settings.model);
+        if (settings.queryFormat) setQueryFormat(settings.queryFormat);
+        if (settings.promptMode) setPromptMode(settings.promptMode);
+        if (settings.aiPlayers) setAiPlayers(settings.aiPlayers);
+        startPositionRef.current = settings.startPosition || null;
+        setStartPosition(startPositionRef.current);
+
+        if (!replay) {
+            archiveIdRef.current = record.id || createGameId();
+            startedAtRef.current = record.startedAt || new Date().toISOString();
+            // The record only has hints for the modes it used; the others stay as they are
+            if (settings.promptHints) setPromptHints(hints => ({
+                ...hints,
+                ...Object.fromEntries(Object.keys(hints)
+                    .filter(mode => mode in settings.promptHints)
+                    .map(mode => [mode, hintsForMode(settings.promptHints, mode)])),
+            }));
+            if (settings.retryPolicy) setRetryPolicy(settings.retryPolicy);
+            if (settings.illegalMovePolicy) setIllegalMovePolicy(settings.illegalMovePolicy);
+            // Wait for the restored model(s) to initialize before anything moves
+            setModelStatus('initializing');
+            setModelInitKey(k => k + 1);
+            const aiToMove = mode === 'ai-vs-ai' || tracker.turn() !== color;
+            pendingResumeRef.current = mode !== 'ai-vs-ai' && aiToMove && !tracker.isGameOver();
+        }
+
+        statsRef.current = record.stats;
+        setGameStats(record.stats);
+        setConversation(record.conversation || []);
+        setGameStatus(record.status || null);
+        setStatusReason(record.statusReason || null);
+        setReplayGameId(replay ? record.id : null);
+        setIsThinking(false);
+        setLastMove(null);
+        setViewingMoveIndex(null);
+        setCurrentPrompt({ type: "", content: "" });
+        setMoveHistory(tracker.getDetailedMoves());
+        setBoard(tracker.getCurrentBoard());
+        setGameKey(k => k + 1);
+    }, [gameMode, playerColor, selectedModel, queryFormat, promptMode, aiPlayers]);
+
+    // Loads an archived game read-only, for the Ticker / viewMove replay
+    const openArchivedGame = useCallback((record) => {
+        loadGameRecord(record, { replay: true });
+    }, [loadGameRecord]);
+
+    // Loads a PGN file's first game read-only, like an archived one. Throws on bad PGN.
+    const importPgn = useCallback((text) => {
+        loadGameRecord(recordFromPgn(text), { replay: true });
+    }, [loadGameRecord]);
+
+    const restoreLiveGame = useCallback(() => {
+        if (!restorableGame) return;
+        loadGameRecord(restorableGame, { replay: false });
+        setRestorableGame(null);
+    }, [restorableGame, loadGameRecord]);
+
+    const discardLiveGame = useCallback(() => {
+        clearLiveGame();
+        setRestorableGame(null);
+    }, []);
+
+    // Patch one side's model/format/prompt mode in AI vs AI
+    const setAiPlayer = useCallback((side, patch) => {
+        setAiPlayers(players => ({ ...players, [side]: { ...players[side], ...patch } }));
     }, []);
 
     const viewMove = useCallback((index) => {
@@ -280,21 +534,42 @@ export const GameProvider = ({ children }) => {
 
         const tracker = trackerRef.current;
 
+        // AI vs AI previews the prompt for whichever side is to move
+        const side = gameMode === 'ai-vs-ai' ? tracker.turn() : aiColor;
+        const format = gameMode === 'ai-vs-ai' ? aiPlayers[side].queryFormat : queryFormat;
+        const mode = gameMode === 'ai-vs-ai' ? aiPlayers[side].promptMode : promptMode;
+        const prompt = buildSmartPrompt(tracker, format, mode, side, activeTemplates, hintsForMode(promptHints, mode));
+        setCurrentPrompt({ ...prompt, side });
 
-        const prompt = buildSmartPrompt(tracker, queryFormat, promptMode, aiColor);
-        setCurrentPrompt(prompt);
-
-    }, [queryFormat, promptMode, aiColor, board, selectedModel]); 
+    }, [gameMode, aiPlayers, queryFormat, promptMode, aiColor, board, selectedModel, activeTemplates, promptHints]); 
 
     
     useEffect(() => {
         const tracker = trackerRef.current;
-        if (playerColor === 'b' && tracker.turn() === 'w' && !hasTriggeredInitialAI.current && !tracker.isGameOver()) {
+        // Usually "AI plays White", but a set-up position can have either side to move
+        if (gameMode !== 'ai-vs-ai' && tracker.turn() !== playerColor && !hasTriggeredInitialAI.current && !tracker.isGameOver()) {
             hasTriggeredInitialAI.current = true;
             
             setTimeout(() => makeAIMove(), 500);
         }
-    }, [playerColor, gameKey, makeAIMove]);
+    }, [gameMode, playerColor, gameKey, makeAIMove]);
+
+    // Restored game where the AI was to move: exactly one kick once its model is ready.
+    // (AI vs AI needs nothing here, autoplay picks it up.)
+    useEffect(() => {
+        if (!pendingResumeRef.current || modelStatus !== 'ready') return;
+        pendingResumeRef.current = false;
+        setTimeout(() => makeAIMove(), 500);
+    }, [modelStatus, makeAIMove]);
+
+    // AI vs AI autoplay: after every move (or resume), schedule the next one
+    useEffect(() => {
+        if (!isAiVsAi || aiPaused || isThinking || gameStatus || replayGameId || modelStatus !== 'ready') return;
+        if (trackerRef.current.isGameOver()) return;
+
+        const timer = setTimeout(() => makeAIMove(), aiDelay);
+        return () => clearTimeout(timer);
+    }, [isAiVsAi, aiPaused, isThinking, gameStatus, replayGameId, modelStatus, aiDelay, moveHistory, gameKey, makeAIMove]);
 
    
    
@@ -303,29 +578,61 @@ export const GameProvider = ({ children }) => {
     const value = {
         
         playerColor,
+        gameMode,
+        aiPlayers,
+        aiDelay,
+        aiPaused,
         selectedModel,
         modelStatus,
         queryFormat,
         promptMode,
+        templateStore,
+        activeTemplates,
+        promptHints,
+        retryPolicy,
+        illegalMovePolicy,
+        startPosition,
         conversation,
         board,
         moveHistory,
         gameStatus,
+        statusReason,
+        gameStats,
         currentPrompt,
         isThinking,
         viewingMoveIndex,
         lastMove,
         gameKey,
+        replayGameId,
+        restorableGame,
 
         
         setPlayerColor,
+        setGameMode,
+        setAiPlayer,
+        setAiDelay,
+        setAiPaused,
         setSelectedModel,
         setQueryFormat,
         setPromptMode,
+        savePromptTemplate,
+        deletePromptTemplate,
+        selectPromptTemplate,
+        setPromptHints,
+        setRetryPolicy,
+        setIllegalMovePolicy,
+        chooseStartPosition,
 
         
         makePlayerMove,
+        resumeAI,
+        stepAI,
         resetGame,
+        getGameRecord,
+        openArchivedGame,
+        importPgn,
+        restoreLiveGame,
+        discardLiveGame,
         viewMove,
         returnToLive,
         trackerRef 
@@ -1,47 +1,119 @@
-import React, { useState } from "react";
+import React, { useState, useEffect } from "react";
 import Chessboard from "../components/Chessboard";
 import { Ticker } from "../components/Ticker";
 import styles from "./ChessPage.module.scss";
-import { GameProvider, useGame } from "../context/GameContext";
+import { useGame } from "../context/GameContext";
 import { ConversationLog } from "../components/ConversationLog";
-
-const LLM_MODELS = [
-  { id: "random", name: "Random (No AI)", provider: "local" },
-  { id: "gpt-4", name: "GPT-4", provider: "openai" },
-  { id: "gpt-3.5-turbo", name: "GPT-3.5 Turbo", provider: "openai" },
-  { id: "claude-3-opus", name: "Claude 3 Opus", provider: "anthropic" },
-  { id: "claude-3-sonnet", name: "Claude 3 Sonnet", provider: "anthropic" },
-  { id: "gemini-pro", name: "Gemini Pro", provider: "google" },
-];
+import { GameStats } from "../components/GameStats";
+import { PromptTemplateEditor } from "../components/PromptTemplateEditor";
+import { StartPositionPicker } from "../components/StartPositionPicker";
+import { getProviderForModel, listModels, refreshProviderModels } from "../utils/providerRegistry";
+import { PROMPT_HINTS, hintsForMode } from "../utils/promptTemplates";
+import { recordToPgn } from "../utils/gameRecord";
+import { formatBoardState } from "../utils/modelhandler";
 
 const QUERY_FORMATS = [
   { id: "fen", name: "FEN Notation", description: "Standard chess position notation" },
   { id: "pgn", name: "PGN Moves", description: "Portable Game Notation move list" },
   { id: "visual", name: "Visual Grid", description: "ASCII board representation" },
+  { id: "uci", name: "UCI Moves", description: "Move list as from/to squares (e2e4 e7e5)" },
+  { id: "pieces", name: "Piece List", description: "Where each side's pieces stand (White: Ke1, Qd1, …)" },
+  { id: "unicode", name: "Unicode Board", description: "Grid drawn with chess glyphs" },
+  { id: "rotated", name: "Rotated Board", description: "ASCII grid from the AI's side of the board" },
+  { id: "fen_pgn", name: "FEN + PGN", description: "Current position plus the full move list" },
+];
+
+const GAME_MODES = [
+  { id: "human", name: "Human vs AI", description: "You play one side against the selected model" },
+  { id: "ai-vs-ai", name: "AI vs AI", description: "Two models play each other" },
+];
+
+const SIDES = [
+  { id: "w", name: "White" },
+  { id: "b", name: "Black" },
 ];
 
 const PROMPT_MODES = [
   { id: "full", name: "Full Prompt", description: "Complete position info each turn" },
   { id: "conversation", name: "Conversation", description: "Initial context, then just moves" },
+  { id: "json", name: "Structured JSON", description: "Full position, reply as {\"reasoning\", \"move\"}" },
+];
+
+const ILLEGAL_MOVE_MODES = [
+  { id: "chaos", name: "Chaos", description: "Force hallucinated moves onto the board anyway" },
+  { id: "strict", name: "Strict", description: "Reject illegal moves and re-prompt the AI" },
+  { id: "tournament", name: "Tournament", description: "Reject and re-prompt, but the AI loses after too many" },
+];
+
+const RETRY_FALLBACKS = [
+  { id: "pause", name: "Pause", description: "Stop and wait for you to resume the AI" },
+  { id: "random", name: "Random Move", description: "Play a random legal move instead" },
+  { id: "forfeit", name: "Forfeit", description: "The AI loses the game" },
 ];
 
 const ChessGameContent = () => {
   const {
     playerColor,
+    gameMode,
+    setGameMode,
+    aiPlayers,
+    setAiPlayer,
+    aiDelay,
+    setAiDelay,
+    aiPaused,
+    setAiPaused,
+    stepAI,
     selectedModel,
     setSelectedModel,
     queryFormat,
     setQueryFormat,
     promptMode,
     setPromptMode,
+    promptHints,
+    setPromptHints,
     gameStatus,
+    statusReason,
+    retryPolicy,
+    setRetryPolicy,
+    illegalMovePolicy,
+    setIllegalMovePolicy,
+    modelStatus,
+    resumeAI,
+    isThinking,
     currentPrompt,
     conversation, // New
     resetGame,
-    gameKey
+    replayGameId,
+    restorableGame,
+    restoreLiveGame,
+    discardLiveGame,
+    getGameRecord,
+    importPgn,
+    gameKey,
+    trackerRef
   } = useGame();
 
   const [showSettings, setShowSettings] = useState(false);
+  const [pgnError, setPgnError] = useState(null);
+  const [models, setModels] = useState(listModels);
+  const selectedProvider = getProviderForModel(selectedModel);
+  const isAiVsAi = gameMode === "ai-vs-ai";
+  // Hints are kept per prompt mode; only the mode(s) in play get toggles
+  const modesInPlay = isAiVsAi ? [aiPlayers.w.promptMode, aiPlayers.b.promptMode] : [promptMode];
+  const hintModes = PROMPT_MODES.filter(mode => modesInPlay.includes(mode.id));
+  const setModeHint = (mode, hintId, enabled) => {
+    setPromptHints(hints => ({ ...hints, [mode]: { ...hintsForMode(hints, mode), [hintId]: enabled } }));
+  };
+  // Previews follow the hovered format, else show the one in use, from each AI side's view
+  const [previewFormat, setPreviewFormat] = useState(null);
+  const previewSides = isAiVsAi ? SIDES : SIDES.filter(side => side.id !== playerColor);
+  const modelName = (id) => models.find(m => m.id === id)?.name || id;
+
+  // Local servers can gain/lose models between games, so re-list whenever settings open
+  useEffect(() => {
+    if (!showSettings) return;
+    refreshProviderModels().then(() => setModels(listModels()));
+  }, [showSettings]);
 
   const handleNewGame = (color) => {
     let finalColor = color;
@@ -51,6 +123,38 @@ const ChessGameContent = () => {
     resetGame(finalColor);
   };
 
+  // Switching modes mid-game would leave the wrong side waiting, so start over.
+  // (Reset first: leaving a replay puts the earlier game mode back.)
+  const handleGameModeChange = (mode) => {
+    resetGame();
+    setGameMode(mode);
+  };
+
+  const handleExportPgn = () => {
+    const record = getGameRecord();
+    const blob = new Blob([recordToPgn(record)], { type: "application/x-chess-pgn" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `${record.id || "chessllm-game"}.pgn`;
+    link.click();
+    // Revoking straight away can cancel the download in Firefox and Safari
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  };
+
+  const handleImportPgn = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+
+    try {
+      importPgn(await file.text());
+      setPgnError(null);
+    } catch (err) {
+      setPgnError(`Could not import ${file.name}: ${err.message}`);
+    }
+  };
+
   const getPromptTypeLabel = () => {
     // If conversation is empty, show label based on settings
     // If conversation is active, show "HISTORY"
@@ -59,6 +163,7 @@ const ChessGameContent = () => {
     if (!currentPrompt.type) return promptMode.toUpperCase();
     if (currentPrompt.type === "initial") return "INITIAL";
     if (currentPrompt.type === "followup") return "FOLLOW-UP";
+    if (currentPrompt.type === "json") return "JSON";
     return "FULL";
   };
 
@@ -72,38 +177,102 @@ const ChessGameContent = () => {
       {/* Game Controls */}
       <div className={styles.controlPanel}>
         <div className={styles.gameButtons}>
-          <button
-            className={styles.newGameBtn}
-            onClick={() => handleNewGame("w")}
-          >
-            ♔ Play as White
-          </button>
-          <button
-            className={styles.newGameBtn}
-            onClick={() => handleNewGame("b")}
-          >
-            ----Play as Black
-          </button>
-          <button
-            className={`${styles.newGameBtn} ${styles.randomBtn}`}
-            onClick={() => handleNewGame("random")}
-          >
-            --- Random Side
-          </button>
+          {isAiVsAi ? (
+            <>
+              <button
+                className={`${styles.newGameBtn} ${styles.randomBtn}`}
+                onClick={() => resetGame()}
+              >
+                New Match
+              </button>
+              <button
+                className={styles.newGameBtn}
+                onClick={() => setAiPaused(!aiPaused)}
+                disabled={Boolean(gameStatus)}
+              >
+                {aiPaused ? "▶ Resume" : "❚❚ Pause"}
+              </button>
+              <button
+                className={styles.newGameBtn}
+                onClick={stepAI}
+                disabled={!aiPaused || isThinking || Boolean(gameStatus)}
+              >
+                Step
+              </button>
+            </>
+          ) : (
+            <>
+              <button
+                className={styles.newGameBtn}
+                onClick={() => handleNewGame("w")}
+              >
+                ♔ Play as White
+              </button>
+              <button
+                className={styles.newGameBtn}
+                onClick={() => handleNewGame("b")}
+              >
+                ----Play as Black
+              </button>
+              <button
+                className={`${styles.newGameBtn} ${styles.randomBtn}`}
+                onClick={() => handleNewGame("random")}
+              >
+                --- Random Side
+              </button>
+            </>
+          )}
           <button
             className={styles.settingsBtn}
             onClick={() => setShowSettings(!showSettings)}
           >
             --- Settings
           </button>
+          <button className={styles.settingsBtn} onClick={handleExportPgn}>
+            Export PGN
+          </button>
+          <label className={styles.settingsBtn}>
+            Import PGN
+            <input type="file" accept=".pgn,application/x-chess-pgn,text/plain" onChange={handleImportPgn} hidden />
+          </label>
+          {modelStatus === "error" && !gameStatus && !isThinking && (
+            <button className={styles.retryBtn} onClick={resumeAI}>
+              Resume AI
+            </button>
+          )}
         </div>
       </div>
 
+      {/* Unfinished game from before a reload */}
+      {restorableGame && (
+        <div className={styles.gameStatusBanner}>
+          Unfinished game from {new Date(restorableGame.savedAt).toLocaleString()} ({Math.ceil(restorableGame.moves.length / 2)} moves). Pick it back up?
+          <button onClick={restoreLiveGame}>Resume</button>
+          <button onClick={discardLiveGame}>Discard</button>
+        </div>
+      )}
+
+      {pgnError && (
+        <div className={styles.gameStatusBanner}>
+          {pgnError}
+          <button onClick={() => setPgnError(null)}>Dismiss</button>
+        </div>
+      )}
+
+      {/* Archived game opened from History (or an imported PGN) */}
+      {replayGameId && (
+        <div className={styles.gameStatusBanner}>
+          Replaying a saved game{statusReason ? ` (${statusReason})` : ""}. Click a move in the list to step through it.
+          <button onClick={() => resetGame()}>New Game</button>
+        </div>
+      )}
+
       {/* Game Status */}
-      {gameStatus && (
+      {gameStatus && !replayGameId && (
         <div className={styles.gameStatusBanner}>
           {gameStatus === "checkmate" && "Checkmate!"}
           {gameStatus === "draw" && "Game ended in a draw"}
+          {gameStatus === "forfeit" && (statusReason || "AI forfeits")}
           <button onClick={() => handleNewGame(playerColor)}>Play Again</button>
         </div>
       )}
@@ -113,37 +282,70 @@ const ChessGameContent = () => {
         {/* Left side: Board + Move history */}
         <div className={styles.boardSection}>
           <div className={styles.gameInfo}>
-            <span className={styles.infoItem}>
-              <strong>{playerColor === "w" ? "White" : "Black"}</strong> vs <strong>{LLM_MODELS.find(m => m.id === selectedModel)?.name}</strong>
-            </span>
+            {isAiVsAi ? (
+              <span className={styles.infoItem}>
+                <strong>{modelName(aiPlayers.w.model)}</strong> (White) vs <strong>{modelName(aiPlayers.b.model)}</strong> (Black)
+              </span>
+            ) : (
+              <span className={styles.infoItem}>
+                <strong>{playerColor === "w" ? "White" : "Black"}</strong> vs <strong>{modelName(selectedModel)}</strong>
+              </span>
+            )}
           </div>
 
           <Chessboard />
 
           {/* Ticker moved here as sibling */}
           <Ticker />
+          <GameStats />
 
         </div>
 
         {/* Right side: Prompt Display */}
         <div className={styles.promptSection}>
-          <div className={styles.promptArea}>
-            <div className={styles.promptHeader}>
-              <h3>Model Query & Response</h3>
-              <div className={styles.promptBadges}>
-                <span className={styles.formatBadge}>{queryFormat.toUpperCase()}</span>
-                <span className={`${styles.formatBadge} ${styles.typeBadge}`}>{getPromptTypeLabel()}</span>
-              </div>
-            </div>
-            {conversation.length === 0 ? (
-              <pre className={styles.promptContent}>
-                {currentPrompt.content || "Make a move to start the conversation..."}
-              </pre>
-            ) : (
-              <ConversationLog conversation={conversation} currentPendingPrompt={currentPrompt} />
-            )}
+          {isAiVsAi ? (
+            // One conversation per side - each model only sees its own
+            SIDES.map(({ id, name }) => {
+              const sideConversation = conversation.filter(entry => entry.side === id);
+              const pendingPrompt = currentPrompt.side === id ? currentPrompt : null;
+              return (
+                <div key={id} className={`${styles.promptArea} ${styles.sidePromptArea}`}>
+                  <div className={styles.promptHeader}>
+                    <h3>{name}: {modelName(aiPlayers[id].model)}</h3>
+                    <div className={styles.promptBadges}>
+                      <span className={styles.formatBadge}>{aiPlayers[id].queryFormat.toUpperCase()}</span>
+                      <span className={`${styles.formatBadge} ${styles.typeBadge}`}>{aiPlayers[id].promptMode.toUpperCase()}</span>
+                    </div>
+                  </div>
+                  {sideConversation.length === 0 ? (
+                    <pre className={styles.promptContent}>
+                      {pendingPrompt?.content || `Waiting for ${name}'s first move...`}
+                    </pre>
+                  ) : (
+                    <ConversationLog conversation={sideConversation} currentPendingPrompt={pendingPrompt} />
+                  )}
+                </div>
+              );
+            })
+          ) : (
+              <div className={styles.promptArea}>
+                <div className={styles.promptHeader}>
+                  <h3>Model Query & Response</h3>
+                  <div className={styles.promptBadges}>
+                    <span className={styles.formatBadge}>{queryFormat.toUpperCase()}</span>
+                    <span className={`${styles.formatBadge} ${styles.typeBadge}`}>{getPromptTypeLabel()}</span>
+                  </div>
+                </div>
+                {conversation.length === 0 ? (
+                  <pre className={styles.promptContent}>
+                    {currentPrompt.content || "Make a move to start the conversation..."}
+                  </pre>
+                ) : (
+                  <ConversationLog conversation={conversation} currentPendingPrompt={currentPrompt} />
+                )}
 
-          </div>
+              </div>
+          )}
         </div>
       </div>
 
@@ -159,35 +361,167 @@ const ChessGameContent = () => {
             </div>
 
             <div className={styles.settingSection}>
-              <h3>LLM Model</h3>
-              <div className={styles.modelGrid}>
-                {LLM_MODELS.map((model) => (
-                  <button
-                    key={model.id}
-                    className={`${styles.modelOption} ${selectedModel === model.id ? styles.selected : ""}`}
-                    onClick={() => setSelectedModel(model.id)}
+              <h3>Game Mode</h3>
+              <div className={styles.formatOptions}>
+                {GAME_MODES.map((mode) => (
+                  <label
+                    key={mode.id}
+                    className={`${styles.formatOption} ${gameMode === mode.id ? styles.selected : ""}`}
                   >
-                    <span className={styles.modelName}>{model.name}</span>
-                    <span className={styles.modelProvider}>{model.provider}</span>
-                  </button>
+                    <input
+                      type="radio"
+                      name="gameMode"
+                      value={mode.id}
+                      checked={gameMode === mode.id}
+                      onChange={(e) => handleGameModeChange(e.target.value)}
+                    />
+                    <div>
+                      <span className={styles.formatName}>{mode.name}</span>
+                      <span className={styles.formatDesc}>{mode.description}</span>
+                    </div>
+                  </label>
                 ))}
               </div>
             </div>
 
             <div className={styles.settingSection}>
-              <h3>Prompt Mode</h3>
+              <h3>Start Position</h3>
+              <StartPositionPicker />
+            </div>
+
+            {isAiVsAi ? (
+              <div className={styles.settingSection}>
+                <h3>Players</h3>
+                {SIDES.map(({ id, name }) => (
+                  <div key={id} className={styles.playerRow}>
+                    <span className={styles.formatName}>{name}</span>
+                    <select value={aiPlayers[id].model} onChange={(e) => setAiPlayer(id, { model: e.target.value })}>
+                      {models.map(model => (
+                        <option key={model.id} value={model.id}>{model.name} ({model.providerName})</option>
+                      ))}
+                    </select>
+                    <select value={aiPlayers[id].queryFormat} onChange={(e) => setAiPlayer(id, { queryFormat: e.target.value })}>
+                      {QUERY_FORMATS.map(format => (
+                        <option key={format.id} value={format.id}>{format.name}</option>
+                      ))}
+                    </select>
+                    <select value={aiPlayers[id].promptMode} onChange={(e) => setAiPlayer(id, { promptMode: e.target.value })}>
+                      {PROMPT_MODES.map(mode => (
+                        <option key={mode.id} value={mode.id}>{mode.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+                <label className={`${styles.numberSetting} ${styles.numberSettingBelow}`}>
+                  <span className={styles.formatName}>Delay between moves (ms)</span>
+                  <input
+                    type="number"
+                    min={0}
+                    max={30000}
+                    step={250}
+                    value={aiDelay}
+                    onChange={(e) => setAiDelay(Math.max(0, Number(e.target.value) || 0))}
+                  />
+                </label>
+              </div>
+            ) : (
+              <>
+              <div className={styles.settingSection}>
+                <h3>LLM Model</h3>
+                <div className={styles.modelGrid}>
+                  {models.map((model) => (
+                    <button
+                      key={model.id}
+                      className={`${styles.modelOption} ${selectedModel === model.id ? styles.selected : ""}`}
+                      onClick={() => setSelectedModel(model.id)}
+                    >
+                      <span className={styles.modelName}>{model.name}</span>
+                      <span className={styles.modelProvider}>{model.providerName}</span>
+                    </button>
+                  ))}
+                </div>
+                {selectedProvider?.config.length > 0 && (
+                  <p className={styles.providerConfig}>
+                    keys.json: {selectedProvider.config.map(c => c.required ? c.key : `${c.key} (optional)`).join(", ")}
+                  </p>
+                )}
+              </div>
+
+              <div className={styles.settingSection}>
+                <h3>Prompt Mode</h3>
+                <div className={styles.formatOptions}>
+                  {PROMPT_MODES.map((mode) => (
+                    <label
+                      key={mode.id}
+                      className={`${styles.formatOption} ${promptMode === mode.id ? styles.selected : ""}`}
+                    >
+                      <input
+                        type="radio"
+                        name="promptMode"
+                        value={mode.id}
+                        checked={promptMode === mode.id}
+                        onChange={(e) => setPromptMode(e.target.value)}
+                      />
+                      <div>
+                        <span className={styles.formatName}>{mode.name}</span>
+                        <span className={styles.formatDesc}>{mode.description}</span>
+                      </div>
+                    </label>
+                  ))}
+                </div>
+              </div>
+              </>
+            )}
+
+            <div className={styles.settingSection}>
+              <h3>Prompt Hints</h3>
+              {hintModes.map((mode) => (
+                <div key={mode.id} className={styles.hintGroup}>
+                  {hintModes.length > 1 && <span className={styles.formatName}>{mode.name}</span>}
+                  <div className={styles.formatOptions}>
+                    {PROMPT_HINTS.map((hint) => {
+                      const enabled = Boolean(hintsForMode(promptHints, mode.id)[hint.id]);
+                      return (
+                        <label
+                          key={hint.id}
+                          className={`${styles.formatOption} ${enabled ? styles.selected : ""}`}
+                        >
+                          <input
+                            type="checkbox"
+                            checked={enabled}
+                            onChange={(e) => setModeHint(mode.id, hint.id, e.target.checked)}
+                          />
+                          <div>
+                            <span className={styles.formatName}>{hint.name}</span>
+                            <span className={styles.formatDesc}>{hint.description}</span>
+                          </div>
+                        </label>
+                      );
+                    })}
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            <div className={styles.settingSection}>
+              <h3>Prompt Templates</h3>
+              <PromptTemplateEditor />
+            </div>
+
+            <div className={styles.settingSection}>
+              <h3>Illegal Moves</h3>
               <div className={styles.formatOptions}>
-                {PROMPT_MODES.map((mode) => (
+                {ILLEGAL_MOVE_MODES.map((mode) => (
                   <label
                     key={mode.id}
-                    className={`${styles.formatOption} ${promptMode === mode.id ? styles.selected : ""}`}
+                    className={`${styles.formatOption} ${illegalMovePolicy.mode === mode.id ? styles.selected : ""}`}
                   >
                     <input
                       type="radio"
-                      name="promptMode"
+                      name="illegalMoveMode"
                       value={mode.id}
-                      checked={promptMode === mode.id}
-                      onChange={(e) => setPromptMode(e.target.value)}
+                      checked={illegalMovePolicy.mode === mode.id}
+                      onChange={(e) => setIllegalMovePolicy(p => ({ ...p, mode: e.target.value }))}
                     />
                     <div>
                       <span className={styles.formatName}>{mode.name}</span>
@@ -196,31 +530,115 @@ const ChessGameContent = () => {
                   </label>
                 ))}
               </div>
+              {illegalMovePolicy.mode === "tournament" && (
+                <label className={`${styles.numberSetting} ${styles.numberSettingBelow}`}>
+                  <span className={styles.formatName}>Illegal moves allowed before loss</span>
+                  <input
+                    type="number"
+                    min={1}
+                    max={20}
+                    value={illegalMovePolicy.maxIllegal}
+                    onChange={(e) => setIllegalMovePolicy(p => ({ ...p, maxIllegal: Math.max(1, Number(e.target.value) || 1) }))}
+                  />
+                </label>
+              )}
             </div>
 
             <div className={styles.settingSection}>
-              <h3>Query Format</h3>
+              <h3>Failed Replies</h3>
+              <label className={styles.numberSetting}>
+                <span className={styles.formatName}>Attempts per move</span>
+                <input
+                  type="number"
+                  min={1}
+                  max={10}
+                  value={retryPolicy.maxAttempts}
+                  onChange={(e) => setRetryPolicy(p => ({ ...p, maxAttempts: Math.max(1, Number(e.target.value) || 1) }))}
+                />
+              </label>
               <div className={styles.formatOptions}>
-                {QUERY_FORMATS.map((format) => (
+                {RETRY_FALLBACKS.map((fallback) => (
                   <label
-                    key={format.id}
-                    className={`${styles.formatOption} ${queryFormat === format.id ? styles.selected : ""}`}
+                    key={fallback.id}
+                    className={`${styles.formatOption} ${retryPolicy.fallback === fallback.id ? styles.selected : ""}`}
                   >
                     <input
                       type="radio"
-                      name="queryFormat"
-                      value={format.id}
-                      checked={queryFormat === format.id}
-                      onChange={(e) => setQueryFormat(e.target.value)}
+                      name="retryFallback"
+                      value={fallback.id}
+                      checked={retryPolicy.fallback === fallback.id}
+                      onChange={(e) => setRetryPolicy(p => ({ ...p, fallback: e.target.value }))}
                     />
                     <div>
-                      <span className={styles.formatName}>{format.name}</span>
-                      <span className={styles.formatDesc}>{format.description}</span>
+                      <span className={styles.formatName}>{fallback.name}</span>
+                      <span className={styles.formatDesc}>{fallback.description}</span>
                     </div>
                   </label>
                 ))}
               </div>
             </div>
+
+            <div className={styles.settingSection}>
+              <h3>Query Format</h3>
+              {isAiVsAi && (
+                <p className={styles.formatNote}>Each side's format is picked under Players; hover one to preview it.</p>
+              )}
+              <div className={styles.formatOptions} onMouseLeave={() => setPreviewFormat(null)}>
+                {QUERY_FORMATS.map((format) => {
+                  const inUse = isAiVsAi
+                    ? SIDES.some(side => aiPlayers[side.id].queryFormat === format.id)
+                    : queryFormat === format.id;
+                  const body = (
+                    <div>
+                      <span className={styles.formatName}>{format.name}</span>
+                      <span className={styles.formatDesc}>{format.description}</span>
+                    </div>
+                  );
+                  return isAiVsAi ? (
+                    <div
+                      key={format.id}
+                      tabIndex={0}
+                      className={`${styles.formatOption} ${styles.formatReference} ${inUse ? styles.selected : ""}`}
+                      onMouseEnter={() => setPreviewFormat(format.id)}
+                      onFocus={() => setPreviewFormat(format.id)}
+                      onBlur={() => setPreviewFormat(null)}
+                    >
+                      {body}
+                    </div>
+                  ) : (
+                    <label
+                      key={format.id}
+                      className={`${styles.formatOption} ${inUse ? styles.selected : ""}`}
+                      onMouseEnter={() => setPreviewFormat(format.id)}
+                    >
+                      <input
+                        type="radio"
+                        name="queryFormat"
+                        value={format.id}
+                        checked={queryFormat === format.id}
+                        onChange={(e) => setQueryFormat(e.target.value)}
+                        onFocus={() => setPreviewFormat(format.id)}
+                        onBlur={() => setPreviewFormat(null)}
+                      />
+                      {body}
+                    </label>
+                  );
+                })}
+              </div>
+              {previewSides.map((side) => {
+                const format = previewFormat || (isAiVsAi ? aiPlayers[side.id].queryFormat : queryFormat);
+                return (
+                  <React.Fragment key={side.id}>
+                    <div className={styles.formatPreviewLabel}>
+                      Preview · {QUERY_FORMATS.find(f => f.id === format)?.name || format} ({side.name})
+                    </div>
+                    <pre className={styles.formatPreview}>
+                      {formatBoardState(trackerRef.current, format, side.id)}
+                    </pre>
+                  </React.Fragment>
+                );
+              })}
+            </div>
           </div>
         </div>
       )}
@@ -228,12 +646,9 @@ const ChessGameContent = () => {
   );
 };
 
+// GameProvider lives in App so the game survives switching pages
 const ChessPage = () => {
-  return (
-    <GameProvider>
-      <ChessGameContent />
-    </GameProvider>
-  );
+  return <ChessGameContent />;
 };
 
-export default ChessPage;
\ No newline at end of file
+export default ChessPage;
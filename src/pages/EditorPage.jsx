@@ -0,0 +1,245 @@
+import React, { useState } from "react";
+import styles from "./EditorPage.module.scss";
+import Square from "../components/Square";
+import Piece from "../components/Piece";
+import { useGame } from "../context/GameContext";
+import { ChessTracker } from "../utils/ChessTracker";
+import { STANDARD_FEN, availableCastling, boardToFen, emptyBoard, fenToPosition } from "../utils/positionEditor";
+
+const PALETTE = ["K", "Q", "R", "B", "N", "P", "k", "q", "r", "b", "n", "p"];
+
+const SIDES = [
+  { id: "w", name: "White" },
+  { id: "b", name: "Black" },
+];
+
+const CASTLING_RIGHTS = [
+  { id: "K", name: "White O-O" },
+  { id: "Q", name: "White O-O-O" },
+  { id: "k", name: "Black O-O" },
+  { id: "q", name: "Black O-O-O" },
+];
+
+// "Invalid FEN: missing white king" -> "Missing white king"
+const describeError = (error) => {
+  const text = error.replace(/^Invalid FEN:\s*/, "");
+  return text.charAt(0).toUpperCase() + text.slice(1);
+};
+
+// Sets up a position by hand (drag pieces from the palette, or click with a palette piece picked)
+// and starts a game from it. Positions chess can't reach are refused before play.
+const EditorPage = ({ onPlay }) => {
+  const { gameMode, startPosition, chooseStartPosition } = useGame();
+
+  const initial = fenToPosition(startPosition?.fen || STANDARD_FEN);
+  const [board, setBoard] = useState(initial.board);
+  const [turn, setTurn] = useState(initial.turn);
+  const [castling, setCastling] = useState(initial.castling);
+  const [flipped, setFlipped] = useState(false);
+  // Piece placed on click, "erase", or null (clicks do nothing)
+  const [brush, setBrush] = useState(null);
+  const [playAs, setPlayAs] = useState("w");
+  const [fenInput, setFenInput] = useState("");
+  const [fenInputError, setFenInputError] = useState(null);
+
+  const fen = boardToFen(board, { turn, castling });
+  const error = ChessTracker.validateFen(fen);
+  const available = availableCastling(board);
+
+  // from: [row, col] when a piece is dragged off another square
+  const placePiece = (row, col, piece, from = null) => {
+    setBoard(prev => {
+      const next = prev.map(r => [...r]);
+      if (from) next[from[0]][from[1]] = null;
+      next[row][col] = piece;
+      return next;
+    });
+  };
+
+  const loadPosition = (position) => {
+    setBoard(position.board);
+    setTurn(position.turn);
+    setCastling(position.castling);
+  };
+
+  const handleSquareClick = (row, col) => {
+    if (brush === "erase") placePiece(row, col, null);
+    // Clicking the same piece again takes it back off
+    else if (brush) placePiece(row, col, board[row][col] === brush ? null : brush);
+  };
+
+  const handleDrop = (e, row, col) => {
+    e.preventDefault();
+    try {
+      const { piece, from } = JSON.parse(e.dataTransfer.getData("text/plain"));
+      if (!PALETTE.includes(piece)) return;
+      if (from && from[0] === row && from[1] === col) return;
+      placePiece(row, col, piece, from);
+    } catch {
+      // Something other than one of our pieces was dropped
+    }
+  };
+
+  const startDrag = (e, piece, from = null) => {
+    e.dataTransfer.setData("text/plain", JSON.stringify({ piece, from }));
+    e.dataTransfer.effectAllowed = from ? "move" : "copy";
+  };
+
+  // A board piece dropped outside the board is removed
+  const handleDragEnd = (e, row, col) => {
+    if (e.dataTransfer.dropEffect === "none") placePiece(row, col, null);
+  };
+
+  const handleLoadFen = () => {
+    const position = fenToPosition(fenInput);
+    if (!position) {
+      setFenInputError("Can't read that FEN's piece placement");
+      return;
+    }
+    loadPosition(position);
+    setFenInput("");
+    setFenInputError(null);
+  };
+
+  const handlePlay = () => {
+    if (error) return;
+    chooseStartPosition({ id: "custom", name: "Edited position", fen }, gameMode === "ai-vs-ai" ? null : playAs);
+    onPlay();
+  };
+
+  const order = flipped ? [7, 6, 5, 4, 3, 2, 1, 0] : [0, 1, 2, 3, 4, 5, 6, 7];
+
+  return (
+    <div className={styles.pageContainer}>
+      <header className={styles.header}>
+        <h1 className={styles.title}>Board Editor</h1>
+        <p className={styles.subtitle}>Set up any position and start a game from it</p>
+      </header>
+
+      <div className={styles.editor}>
+        <div className={styles.boardColumn}>
+          <div className={styles.palette}>
+            {/* divs, not buttons: Firefox won't drag a button */}
+            {PALETTE.map(piece => (
+              <div
+                key={piece}
+                className={`${styles.paletteItem} ${brush === piece ? styles.activeBrush : ""}`}
+                draggable
+                onDragStart={(e) => startDrag(e, piece)}
+                onClick={() => setBrush(brush === piece ? null : piece)}
+                title="Drag onto the board, or pick and click squares"
+              >
+                <Piece type={piece} />
+              </div>
+            ))}
+            <button
+              className={`${styles.paletteItem} ${styles.eraser} ${brush === "erase" ? styles.activeBrush : ""}`}
+              onClick={() => setBrush(brush === "erase" ? null : "erase")}
+              title="Click squares to clear them"
+            >
+              ✕
+            </button>
+          </div>
+
+          <div className={styles.boardFrame}>
+            <div className={styles.board}>
+              {order.flatMap(row => order.map(col => (
+                <Square
+                  key={`${row}-${col}`}
+                  isDark={(row + col) % 2 === 1}
+                  piece={board[row][col]}
+                  onClick={() => handleSquareClick(row, col)}
+                  onDragStart={(e) => startDrag(e, board[row][col], [row, col])}
+                  onDragEnd={(e) => handleDragEnd(e, row, col)}
+                  onDrop={(e) => handleDrop(e, row, col)}
+                />
+              )))}
+            </div>
+          </div>
+
+          <div className={styles.actions}>
+            <button className={styles.actionBtn} onClick={() => loadPosition({ board: emptyBoard(), turn: "w", castling: {} })}>
+              Clear
+            </button>
+            <button className={styles.actionBtn} onClick={() => loadPosition(fenToPosition(STANDARD_FEN))}>
+              Standard
+            </button>
+            <button className={styles.actionBtn} onClick={() => setFlipped(!flipped)}>
+              Flip
+            </button>
+          </div>
+        </div>
+
+        <div className={styles.sidePanel}>
+          <section className={styles.section}>
+            <h3>Side to move</h3>
+            <div className={styles.toggles}>
+              {SIDES.map(side => (
+                <label key={side.id}>
+                  <input type="radio" name="editorTurn" checked={turn === side.id} onChange={() => setTurn(side.id)} />
+                  {side.name}
+                </label>
+              ))}
+            </div>
+          </section>
+
+          <section className={styles.section}>
+            <h3>Castling</h3>
+            <div className={styles.toggles}>
+              {CASTLING_RIGHTS.map(right => (
+                <label key={right.id} className={available[right.id] ? "" : styles.unavailable}>
+                  <input
+                    type="checkbox"
+                    checked={Boolean(castling[right.id] && available[right.id])}
+                    disabled={!available[right.id]}
+                    onChange={(e) => setCastling(c => ({ ...c, [right.id]: e.target.checked }))}
+                  />
+                  {right.name}
+                </label>
+              ))}
+            </div>
+          </section>
+
+          <section className={styles.section}>
+            <h3>FEN</h3>
+            <code className={styles.fen}>{fen}</code>
+            <div className={styles.fenLoad}>
+              <input
+                value={fenInput}
+                onChange={(e) => setFenInput(e.target.value)}
+                placeholder="Paste a FEN to load it"
+                spellCheck={false}
+              />
+              <button className={styles.actionBtn} onClick={handleLoadFen} disabled={!fenInput.trim()}>
+                Load
+              </button>
+            </div>
+            {fenInputError && <p className={styles.error}>{fenInputError}</p>}
+          </section>
+
+          <section className={styles.section}>
+            {error ? (
+              <p className={styles.error}>{describeError(error)}</p>
+            ) : (
+              <p className={styles.ok}>Position is playable.</p>
+            )}
+            <div className={styles.playRow}>
+              {gameMode !== "ai-vs-ai" && (
+                <select value={playAs} onChange={(e) => setPlayAs(e.target.value)}>
+                  {SIDES.map(side => (
+                    <option key={side.id} value={side.id}>Play as {side.name}</option>
+                  ))}
+                </select>
+              )}
+              <button className={styles.playBtn} onClick={handlePlay} disabled={Boolean(error)}>
+                {gameMode === "ai-vs-ai" ? "Start AI vs AI" : "Play vs LLM"}
+              </button>
+            </div>
+          </section>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EditorPage;
@@ -0,0 +1,136 @@
+import React, { useEffect, useMemo, useState } from "react";
+import styles from "./HistoryPage.module.scss";
+import { useGame } from "../context/GameContext";
+import { deleteArchivedGame, listArchivedGames } from "../utils/gameArchive";
+import { recordPlayers } from "../utils/gameRecord";
+
+const RESULT_FILTERS = [
+  { id: "all", name: "Any result" },
+  { id: "1-0", name: "White won" },
+  { id: "0-1", name: "Black won" },
+  { id: "1/2-1/2", name: "Draw" },
+  { id: "*", name: "Unfinished" },
+];
+
+const MODE_FILTERS = [
+  { id: "all", name: "Any mode" },
+  { id: "human", name: "Human vs AI" },
+  { id: "ai-vs-ai", name: "AI vs AI" },
+];
+
+const formatDate = (iso) => new Date(iso).toLocaleString();
+
+// onOpen: called after a game has been loaded for replay (App switches back to the board)
+const HistoryPage = ({ onOpen }) => {
+  const { openArchivedGame } = useGame();
+  const [games, setGames] = useState(null);
+  const [error, setError] = useState(null);
+  const [deleteError, setDeleteError] = useState(null);
+  const [modelFilter, setModelFilter] = useState("all");
+  const [resultFilter, setResultFilter] = useState("all");
+  const [modeFilter, setModeFilter] = useState("all");
+
+  useEffect(() => {
+    listArchivedGames()
+      .then(setGames)
+      .catch(e => {
+        setError(e.message);
+        setGames([]);
+      });
+  }, []);
+
+  const models = useMemo(() => {
+    const ids = new Set();
+    for (const game of games || []) {
+      const players = recordPlayers(game);
+      if (players.w.model) ids.add(players.w.model);
+      if (players.b.model) ids.add(players.b.model);
+    }
+    return [...ids].sort();
+  }, [games]);
+
+  const filtered = (games || []).filter(game => {
+    const players = recordPlayers(game);
+    if (modelFilter !== "all" && players.w.model !== modelFilter && players.b.model !== modelFilter) return false;
+    if (resultFilter !== "all" && (game.result || "*") !== resultFilter) return false;
+    if (modeFilter !== "all" && (game.settings.gameMode || "human") !== modeFilter) return false;
+    return true;
+  });
+
+  const handleOpen = (game) => {
+    openArchivedGame(game);
+    onOpen();
+  };
+
+  const handleDelete = async (game) => {
+    if (!window.confirm("Delete this game from the archive?")) return;
+    try {
+      await deleteArchivedGame(game.id);
+      setDeleteError(null);
+      setGames(list => list.filter(g => g.id !== game.id));
+    } catch (e) {
+      setDeleteError(e.message);
+    }
+  };
+
+  return (
+    <div className={styles.pageContainer}>
+      <header className={styles.header}>
+        <h1 className={styles.title}>Game History</h1>
+        <p className={styles.subtitle}>Every game is archived in this browser as it's played</p>
+      </header>
+
+      <div className={styles.filters}>
+        <select value={modelFilter} onChange={(e) => setModelFilter(e.target.value)}>
+          <option value="all">Any model</option>
+          {models.map(model => <option key={model} value={model}>{model}</option>)}
+        </select>
+        <select value={resultFilter} onChange={(e) => setResultFilter(e.target.value)}>
+          {RESULT_FILTERS.map(f => <option key={f.id} value={f.id}>{f.name}</option>)}
+        </select>
+        <select value={modeFilter} onChange={(e) => setModeFilter(e.target.value)}>
+          {MODE_FILTERS.map(f => <option key={f.id} value={f.id}>{f.name}</option>)}
+        </select>
+      </div>
+
+      {error && <p className={styles.empty}>Could not open the archive: {error}</p>}
+      {deleteError && <p className={styles.error}>Could not delete the game: {deleteError}</p>}
+      {games === null && <p className={styles.empty}>Loading...</p>}
+      {games !== null && !error && filtered.length === 0 && (
+        <p className={styles.empty}>{games.length === 0 ? "No games archived yet." : "No games match these filters."}</p>
+      )}
+
+      <ul className={styles.gameList}>
+        {filtered.map(game => {
+          const players = recordPlayers(game);
+          const stats = game.stats || {};
+          const illegal = (stats.w?.illegal || 0) + (stats.b?.illegal || 0);
+          return (
+            <li key={game.id} className={styles.gameItem}>
+              <div className={styles.gameMain}>
+                <span className={styles.players}>
+                  {players.w.name} <span className={styles.vs}>vs</span> {players.b.name}
+                </span>
+                <span className={styles.gameMeta}>
+                  {formatDate(game.startedAt)} · {Math.ceil(game.moves.length / 2)} moves
+                  {["w", "b"].filter(side => players[side].model).map(side => (
+                    ` · ${side}: ${players[side].queryFormat}/${players[side].promptMode}`
+                  ))}
+                  {illegal > 0 && ` · ${illegal} illegal`}
+                </span>
+                {game.statusReason && <span className={styles.gameMeta}>{game.statusReason}</span>}
+              </div>
+              <span className={styles.result}>{game.result || "*"}</span>
+              <div className={styles.gameActions}>
+                <button className={styles.actionBtn} onClick={() => handleOpen(game)}>Replay</button>
+                <button className={styles.actionBtn} onClick={() => handleDelete(game)}>Delete</button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default HistoryPage;
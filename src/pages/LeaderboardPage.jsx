@@ -0,0 +1,108 @@
+import React, { useMemo, useState } from "react";
+import styles from "./LeaderboardPage.module.scss";
+import { computeLeaderboard } from "../utils/ratings";
+import { clearGameResults, importGameResults, loadGameResults } from "../utils/resultStore";
+import { listModels } from "../utils/providerRegistry";
+import { PROMPT_HINTS } from "../utils/promptTemplates";
+
+const formatPercent = (value) => `${(value * 100).toFixed(1)}%`;
+
+const HINT_NAMES = new Map(PROMPT_HINTS.map(h => [h.id, h.name.toLowerCase()]));
+
+// "fen · full · chaos · legal moves, move number" - everything that makes this row its own configuration
+const describeSetup = (row) => [
+  row.queryFormat,
+  row.promptMode,
+  row.illegalMoves,
+  row.hints.length ? row.hints.map(id => HINT_NAMES.get(id) || id).join(", ") : "no hints",
+  row.templates && "custom templates",
+].filter(Boolean).join(" · ");
+
+const LeaderboardPage = () => {
+  const [results, setResults] = useState(loadGameResults);
+  const [importMessage, setImportMessage] = useState(null);
+  const rows = useMemo(() => computeLeaderboard(results), [results]);
+  const modelNames = useMemo(() => new Map(listModels().map(m => [m.id, m.name])), []);
+
+  // Accepts a tournament results.json ({ games: [{ record }] }) or a bare array of game records
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+
+    try {
+      const data = JSON.parse(await file.text());
+      const records = Array.isArray(data) ? data : (data.games || []).map(g => g.record);
+      const added = importGameResults(records);
+      setResults(loadGameResults());
+      setImportMessage(`Imported ${added} game${added === 1 ? "" : "s"} from ${file.name}`);
+    } catch (err) {
+      setImportMessage(`Could not import ${file.name}: ${err.message}`);
+    }
+  };
+
+  const handleClear = () => {
+    if (!window.confirm("Delete every stored game result?")) return;
+    clearGameResults();
+    setResults([]);
+    setImportMessage(null);
+  };
+
+  return (
+    <div className={styles.pageContainer}>
+      <header className={styles.header}>
+        <h1 className={styles.title}>Leaderboard</h1>
+        <p className={styles.subtitle}>Elo per model + prompt configuration, from {results.length} finished game{results.length === 1 ? "" : "s"}</p>
+      </header>
+
+      <div className={styles.actions}>
+        <label className={styles.actionBtn}>
+          Import results.json
+          <input type="file" accept="application/json,.json" onChange={handleImport} hidden />
+        </label>
+        <button className={styles.actionBtn} onClick={handleClear} disabled={results.length === 0}>
+          Clear results
+        </button>
+      </div>
+      {importMessage && <p className={styles.importMessage}>{importMessage}</p>}
+
+      {rows.length === 0 ? (
+        <p className={styles.empty}>No finished games yet. Play one, or import a tournament's results.json.</p>
+      ) : (
+        <table className={styles.table}>
+          <thead>
+            <tr>
+              <th>#</th>
+              <th className={styles.left}>Configuration</th>
+              <th>Rating</th>
+              <th>Games</th>
+              <th>W / D / L</th>
+              <th>Avg length</th>
+              <th>Illegal rate</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row, i) => (
+              <tr key={row.id}>
+                <td>{i + 1}</td>
+                <td className={styles.left}>
+                  <span className={styles.configName}>{row.model ? (modelNames.get(row.model) || row.name) : row.name}</span>
+                  {row.model && (
+                    <span className={styles.configDetail}>{describeSetup(row)}</span>
+                  )}
+                </td>
+                <td className={styles.rating}>{row.rating}</td>
+                <td>{row.games}</td>
+                <td>{row.wins} / {row.draws} / {row.losses}</td>
+                <td>{row.avgLength.toFixed(1)}</td>
+                <td>{row.model ? formatPercent(row.illegalRate) : "—"}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default LeaderboardPage;
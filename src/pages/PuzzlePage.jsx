@@ -0,0 +1,340 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import styles from "./PuzzlePage.module.scss";
+import { useGame } from "../context/GameContext";
+import { initModel } from "../utils/modelhandler";
+import { listModels, refreshProviderModels } from "../utils/providerRegistry";
+import { listPuzzleThemes, parsePuzzleCsv, runPuzzleBenchmark, summarizePuzzleResults } from "../utils/puzzles";
+
+const QUERY_FORMATS = [
+  { id: "fen", name: "FEN" },
+  { id: "pgn", name: "PGN" },
+  { id: "visual", name: "Visual Grid" },
+  { id: "uci", name: "UCI" },
+  { id: "pieces", name: "Piece List" },
+  { id: "unicode", name: "Unicode Board" },
+  { id: "rotated", name: "Rotated Board" },
+  { id: "fen_pgn", name: "FEN + PGN" },
+];
+
+const PROMPT_MODES = [
+  { id: "full", name: "Full Prompt" },
+  { id: "conversation", name: "Conversation" },
+  { id: "json", name: "Structured JSON" },
+];
+
+const FAILURE_LABELS = {
+  wrong: "Wrong move",
+  illegal: "Illegal move",
+  unparseable: "No move found",
+  error: "Request failed",
+  invalid: "Broken puzzle",
+};
+
+const formatPercent = (value) => `${(value * 100).toFixed(1)}%`;
+
+const playerKey = (p) => `${p.model}|${p.queryFormat}|${p.promptMode}`;
+
+// Runs a puzzle set through each model configuration and scores the answers.
+// The bundled set lives in public/puzzles.csv; any Lichess-format CSV can be loaded instead.
+const PuzzlePage = () => {
+  const { selectedModel, queryFormat, promptMode, promptHints, activeTemplates } = useGame();
+  const [models, setModels] = useState(listModels);
+  const modelNames = useMemo(() => new Map(models.map(m => [m.id, m.name])), [models]);
+
+  const [puzzles, setPuzzles] = useState([]);
+  const [source, setSource] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [theme, setTheme] = useState("all");
+  const [limit, setLimit] = useState(20);
+  const [players, setPlayers] = useState([{ model: selectedModel, queryFormat, promptMode }]);
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  // { [playerKey]: { player, results } }
+  const [runs, setRuns] = useState({});
+  const [runError, setRunError] = useState(null);
+  const stopRef = useRef(false);
+
+  // Local servers list their models at runtime
+  useEffect(() => {
+    refreshProviderModels().then(() => setModels(listModels()));
+  }, []);
+
+  useEffect(() => {
+    fetch(`${import.meta.env.BASE_URL}puzzles.csv`)
+      .then(res => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.text();
+      })
+      .then(text => {
+        setPuzzles(parsePuzzleCsv(text));
+        setSource("Bundled sample");
+      })
+      .catch(err => setLoadError(`Could not load the bundled puzzles: ${err.message}`));
+  }, []);
+
+  const themes = useMemo(() => listPuzzleThemes(puzzles), [puzzles]);
+  const selected = useMemo(
+    () => puzzles.filter(p => theme === "all" || p.themes.includes(theme)).slice(0, Math.max(1, limit)),
+    [puzzles, theme, limit]
+  );
+  const finished = Object.values(runs).map(run => ({ ...run, summary: summarizePuzzleResults(run.results) }));
+  // Themes across every run, so the breakdown table has one row each
+  const resultThemes = listPuzzleThemes(finished.flatMap(run => run.results)).map(t => t.theme);
+
+  const handleUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+
+    const parsed = parsePuzzleCsv(await file.text());
+    if (parsed.length === 0) {
+      setLoadError(`No usable puzzles in ${file.name}`);
+      return;
+    }
+    setPuzzles(parsed);
+    setSource(file.name);
+    setTheme("all");
+    setLoadError(null);
+  };
+
+  const updatePlayer = (index, changes) => {
+    setPlayers(prev => prev.map((p, i) => i === index ? { ...p, ...changes } : p));
+  };
+
+  const handleRun = async () => {
+    setRunning(true);
+    setRunError(null);
+    setRuns({});
+    stopRef.current = false;
+
+    // Duplicate rows would only repeat the same run
+    const unique = [...new Map(players.map(p => [playerKey(p), p])).values()];
+    try {
+      for (const model of new Set(unique.map(p => p.model))) {
+        const ready = await initModel(model);
+        if (ready === false) throw new Error(`${modelNames.get(model) || model} failed to initialize`);
+      }
+
+      setProgress({ done: 0, total: unique.length * selected.length });
+      await runPuzzleBenchmark(selected, unique, {
+        promptHints,
+        templates: activeTemplates,
+        shouldStop: () => stopRef.current,
+        onResult: (player, result) => {
+          const key = playerKey(player);
+          setRuns(prev => ({ ...prev, [key]: { player, results: [...(prev[key]?.results || []), result] } }));
+          setProgress(prev => ({ ...prev, done: prev.done + 1 }));
+        },
+      });
+    } catch (err) {
+      setRunError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleDownload = () => {
+    const data = {
+      source,
+      theme,
+      date: new Date().toISOString(),
+      runs: finished,
+    };
+    const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: "application/json" }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = "puzzle-results.json";
+    a.click();
+    // Revoking straight away can cancel the download in Firefox and Safari
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  };
+
+  const describePlayer = (p) => (
+    <>
+      <span className={styles.configName}>{modelNames.get(p.model) || p.model}</span>
+      <span className={styles.configDetail}>{p.queryFormat} · {p.promptMode}</span>
+    </>
+  );
+
+  return (
+    <div className={styles.pageContainer}>
+      <header className={styles.header}>
+        <h1 className={styles.title}>Puzzles</h1>
+        <p className={styles.subtitle}>Can the model find the winning move? Accuracy per configuration and theme</p>
+      </header>
+
+      <section className={styles.section}>
+        <h3>Puzzle set</h3>
+        <div className={styles.row}>
+          <span className={styles.source}>
+            {source ? `${source}: ${puzzles.length} puzzle${puzzles.length === 1 ? "" : "s"}` : "Loading…"}
+          </span>
+          <label className={styles.actionBtn}>
+            Load CSV
+            <input type="file" accept=".csv,text/csv" onChange={handleUpload} hidden disabled={running} />
+          </label>
+        </div>
+        {loadError && <p className={styles.error}>{loadError}</p>}
+        <div className={styles.row}>
+          <label>
+            Theme
+            <select value={theme} onChange={(e) => setTheme(e.target.value)} disabled={running}>
+              <option value="all">All themes</option>
+              {themes.map(t => (
+                <option key={t.theme} value={t.theme}>{t.theme} ({t.count})</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Puzzles
+            <input
+              type="number"
+              min={1}
+              value={limit}
+              onChange={(e) => setLimit(Number(e.target.value) || 1)}
+              disabled={running}
+            />
+          </label>
+          <span className={styles.source}>{selected.length} selected</span>
+        </div>
+      </section>
+
+      <section className={styles.section}>
+        <h3>Configurations</h3>
+        {players.map((p, i) => (
+          <div key={i} className={styles.row}>
+            <select value={p.model} onChange={(e) => updatePlayer(i, { model: e.target.value })} disabled={running}>
+              {models.map(m => (
+                <option key={m.id} value={m.id}>{m.name}</option>
+              ))}
+            </select>
+            <select value={p.queryFormat} onChange={(e) => updatePlayer(i, { queryFormat: e.target.value })} disabled={running}>
+              {QUERY_FORMATS.map(f => (
+                <option key={f.id} value={f.id}>{f.name}</option>
+              ))}
+            </select>
+            <select value={p.promptMode} onChange={(e) => updatePlayer(i, { promptMode: e.target.value })} disabled={running}>
+              {PROMPT_MODES.map(m => (
+                <option key={m.id} value={m.id}>{m.name}</option>
+              ))}
+            </select>
+            <button
+              className={styles.removeBtn}
+              onClick={() => setPlayers(prev => prev.filter((_, j) => j !== i))}
+              disabled={running || players.length === 1}
+              title="Remove configuration"
+            >
+              ✕
+            </button>
+          </div>
+        ))}
+        <div className={styles.row}>
+          <button className={styles.actionBtn} onClick={() => setPlayers(prev => [...prev, { ...prev[prev.length - 1] }])} disabled={running}>
+            Add configuration
+          </button>
+        </div>
+      </section>
+
+      <div className={styles.actions}>
+        {running ? (
+          <button className={styles.actionBtn} onClick={() => { stopRef.current = true; }}>
+            Stop
+          </button>
+        ) : (
+          <button className={styles.actionBtn} onClick={handleRun} disabled={selected.length === 0}>
+            Run {selected.length} puzzle{selected.length === 1 ? "" : "s"}
+          </button>
+        )}
+        <button className={styles.actionBtn} onClick={handleDownload} disabled={running || finished.length === 0}>
+          Download results
+        </button>
+        {(running || progress.done > 0) && (
+          <span className={styles.source}>{progress.done} / {progress.total}</span>
+        )}
+      </div>
+      {runError && <p className={styles.error}>{runError}</p>}
+
+      {finished.length > 0 && (
+        <>
+          <table className={styles.table}>
+            <thead>
+              <tr>
+                <th className={styles.left}>Configuration</th>
+                <th>Solved</th>
+                <th>Accuracy</th>
+                <th>Illegal</th>
+                <th>No move</th>
+                <th>Errors</th>
+              </tr>
+            </thead>
+            <tbody>
+              {finished.map(({ player, summary }) => (
+                <tr key={playerKey(player)}>
+                  <td className={styles.left}>{describePlayer(player)}</td>
+                  <td>{summary.solved} / {summary.total}</td>
+                  <td className={styles.accuracy}>{formatPercent(summary.accuracy)}</td>
+                  <td>{summary.illegal}</td>
+                  <td>{summary.unparseable}</td>
+                  <td>{summary.errors}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <h3 className={styles.tableTitle}>By theme</h3>
+          <table className={styles.table}>
+            <thead>
+              <tr>
+                <th className={styles.left}>Theme</th>
+                {finished.map(({ player }) => (
+                  <th key={playerKey(player)}>{modelNames.get(player.model) || player.model}<br />{player.queryFormat} · {player.promptMode}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {resultThemes.map(t => (
+                <tr key={t}>
+                  <td className={styles.left}>{t}</td>
+                  {finished.map(({ player, summary }) => {
+                    const row = summary.byTheme.find(b => b.theme === t);
+                    return (
+                      <td key={playerKey(player)}>
+                        {row ? `${row.solved} / ${row.total} (${formatPercent(row.accuracy)})` : "—"}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <h3 className={styles.tableTitle}>Misses</h3>
+          <table className={styles.table}>
+            <thead>
+              <tr>
+                <th className={styles.left}>Configuration</th>
+                <th>Puzzle</th>
+                <th>Result</th>
+                <th>Played</th>
+                <th>Expected</th>
+              </tr>
+            </thead>
+            <tbody>
+              {finished.flatMap(({ player, results }) => results.filter(r => !r.solved).map(r => (
+                <tr key={`${playerKey(player)}-${r.id}`}>
+                  <td className={styles.left}>{describePlayer(player)}</td>
+                  <td>{r.id}</td>
+                  <td>{FAILURE_LABELS[r.failure]}{r.needed > 1 ? ` (${r.found}/${r.needed})` : ""}</td>
+                  <td className={styles.played} title={r.error || undefined}>{r.played || "—"}</td>
+                  <td>{r.expected}</td>
+                </tr>
+              )))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PuzzlePage;
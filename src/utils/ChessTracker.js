@@ -1,20 +1,67 @@
-import { Chess } from "chess.js";
+import { Chess, validateFen } from "chess.js";
+import { formatPgn } from "./pgn";
 
 export class ChessTracker {
-    constructor(moves = []) {
-        this.chess = new Chess();
+    // startFen: position the game starts from (null = the normal starting position).
+    // Check it with ChessTracker.validateFen first, chess.js throws on a bad one.
+    // openingPlies: how many of the moves are a preset opening line (see playOpening)
+    constructor(moves = [], startFen = null, openingPlies = 0) {
+        this.startFen = startFen || null;
+        this.chess = this.startFen ? new Chess(this.startFen) : new Chess();
         this.boardHistory = [this._cloneBoard(this.chess.board())];
         this.moves = [];
         if (moves.length > 0) this.setMoves(moves);
+        this.openingPlies = Math.min(openingPlies, this.moves.length);
     }
 
+    // Error message for a FEN we can't start a game from, null when it's fine
+    static validateFen(fen) {
+        const clean = String(fen || '').trim();
+        const { ok, error } = validateFen(clean);
+        if (!ok) return error;
+
+        // chess.js is happy with the side that just moved being in check, we aren't
+        const [placement, turn] = clean.split(/\s+/);
+        if (new Chess(`${placement} ${turn === 'w' ? 'b' : 'w'} - - 0 1`).inCheck()) {
+            return "The side not to move is in check";
+        }
+        // chess.js keeps castling rights even with the king or rook gone
+        const castling = clean.split(/\s+/)[2];
+        const chess = new Chess(clean);
+        for (const right of castling.replace('-', '')) {
+            const color = right === right.toUpperCase() ? 'w' : 'b';
+            const rank = color === 'w' ? '1' : '8';
+            const rookFile = right.toLowerCase() === 'k' ? 'h' : 'a';
+            const king = chess.get('e' + rank);
+            const rook = chess.get(rookFile + rank);
+            if (!king || king.type !== 'k' || king.color !== color || !rook || rook.type !== 'r' || rook.color !== color) {
+                return `Castling right "${right}" needs the king and rook on their home squares`;
+            }
+        }
+        if (chess.isGameOver()) return "The game is already over in this position";
+        return null;
+    }
+
+    // Moves are stored as from/to records (not SAN) so forced moves replay too.
+    // Older states with plain SAN strings still load.
     getState() {
-        return JSON.stringify({ moves: this.moves.map(m => m.san) });
+        return JSON.stringify({
+            ...(this.startFen ? { startFen: this.startFen } : {}),
+            ...(this.openingPlies ? { openingPlies: this.openingPlies } : {}),
+            moves: this.moves.map(m => {
+                const record = { from: m.from, to: m.to, promotion: m.promotion || null };
+                if (m.flags === 'f') {
+                    record.forced = true;
+                    record.reason = m.forceReason || null;
+                }
+                return record;
+            })
+        });
     }
 
     static fromState(serialized) {
-        const { moves } = JSON.parse(serialized);
-        return new ChessTracker(moves);
+        const { moves, startFen, openingPlies } = JSON.parse(serialized);
+        return new ChessTracker(moves, startFen, openingPlies);
     }
 
     _cloneBoard(board) {
@@ -30,8 +77,30 @@ export class ChessTracker {
         );
     }
 
+    // chess.js throws on illegal moves, we'd rather get null back
+    _tryMove(moveArg) {
+        try {
+            return this.chess.move(moveArg);
+        } catch {
+            return null;
+        }
+    }
+
+    // Accepts a SAN string or a { from, to, promotion, forced } record from getState()
     _applyMove(moveStr) {
-        const move = this.chess.move(moveStr, { sloppy: true });
+        if (typeof moveStr === 'object' && moveStr.forced) {
+            const forced = this._forceMove(moveStr.from, moveStr.to, moveStr.promotion, moveStr.reason);
+            if (!forced) {
+                console.warn("Invalid forced move skipped:", moveStr);
+                return false;
+            }
+            return true;
+        }
+
+        const moveArg = typeof moveStr === 'object'
+            ? { from: moveStr.from, to: moveStr.to, promotion: moveStr.promotion || undefined }
+            : moveStr;
+        const move = this._tryMove(moveArg);
         if (!move) {
             console.warn("Invalid move skipped:", moveStr);
             return false;
@@ -41,8 +110,13 @@ export class ChessTracker {
         return true;
     }
 
+    // Plays one SAN string or getState() record on top of the current position, false if it can't be played
+    applyMove(move) {
+        return this._applyMove(move);
+    }
+
     setMoves(moveStrings) {
-        this.chess.reset();
+        this._loadStart();
         this.boardHistory = [this._cloneBoard(this.chess.board())];
         this.moves = [];
         for (let moveStr of moveStrings) {
@@ -55,7 +129,7 @@ export class ChessTracker {
         const moveObj = { from, to };
         if (promotion) moveObj.promotion = promotion;
 
-        const move = this.chess.move(moveObj);
+        const move = this._tryMove(moveObj);
         if (!move) return null;
 
         this.boardHistory.push(this._cloneBoard(this.chess.board()));
@@ -65,7 +139,7 @@ export class ChessTracker {
 
   
     makeMoveFromSan(san) {
-        const move = this.chess.move(san);
+        const move = this._tryMove(san);
         if (!move) return null;
 
         this.boardHistory.push(this._cloneBoard(this.chess.board()));
@@ -84,14 +158,31 @@ export class ChessTracker {
         return this._boardToLetters(this.boardHistory[this.boardHistory.length - 1]);
     }
 
-    // Reset 
-    reset() {
-        this.chess.reset();
+    // Reset, optionally to a new starting position
+    reset(startFen = this.startFen) {
+        this.startFen = startFen || null;
+        this._loadStart();
         this.boardHistory = [this._cloneBoard(this.chess.board())];
         this.moves = [];
+        this.openingPlies = 0;
+    }
+
+    // New game from the normal position with an opening's main line (SAN) already played.
+    // The line stays in the move history, but neither player chose it.
+    playOpening(sans) {
+        this.reset(null);
+        for (const san of sans) {
+            if (!this.makeMoveFromSan(san)) throw new Error(`Opening move ${san} is illegal`);
+        }
+        this.openingPlies = this.moves.length;
     }
 
 
+    _loadStart() {
+        if (this.startFen) this.chess.load(this.startFen);
+        else this.chess.reset();
+    }
+
     turn() {
         return this.chess.turn(); // 'w' or 'b'
     }
@@ -101,9 +192,9 @@ export class ChessTracker {
         return this.chess.fen();
     }
 
-    // Get PGN string
+    // Get PGN string. Built from our move list since chess.js drops its history after a forced move
     pgn() {
-        return this.chess.pgn();
+        return formatPgn({ moves: this.moves, startFen: this.startFen });
     }
 
     // Check game status
@@ -127,6 +218,17 @@ export class ChessTracker {
         return this.moves.length;
     }
 
+    // Full-move number of the move about to be played
+    get moveNumber() {
+        return this._moveNumberAt(this.moves.length);
+    }
+
+    // Full-move number of the ply-th move, counting from the starting position's move number
+    _moveNumberAt(ply) {
+        const [, turn = 'w', , , , fullmove = '1'] = (this.startFen || '').split(/\s+/);
+        return (parseInt(fullmove) || 1) + Math.floor((ply + (turn === 'b' ? 1 : 0)) / 2);
+    }
+
     getDetailedMoves() {
         return this.moves.map((m, index) => ({
             index,
@@ -135,9 +237,12 @@ export class ChessTracker {
             san: m.san,
             promotion: m.promotion || null,
             flags: m.flags,
+            isForced: m.flags === 'f',
+            forceReason: m.forceReason || null,
             piece: m.piece,
             captured: m.captured || null,
             color: m.color,
+            moveNumber: this._moveNumberAt(index),
         }));
     }
 
@@ -155,23 +260,30 @@ export class ChessTracker {
         const candidates = this._findCandidates(parsed);
         if (candidates.length === 0) return null;
 
-      
-        const bestMove = candidates[0]; 
+        // Several pieces could have "meant" this move, pick the most plausible one
+        const ranked = candidates
+            .map(c => ({ ...c, ...this._scoreCandidate(parsed, c) }))
+            .sort((a, b) => b.score - a.score);
+        const bestMove = ranked[0];
+
+        const others = ranked.length - 1;
+        const reason = `${bestMove.from}-${bestMove.to}: ${bestMove.reasons.join(", ")}`
+            + (others > 0 ? ` (picked over ${others} other candidate${others === 1 ? '' : 's'})` : '');
 
         // 5. Force !!!!!!
-        return this._forceMove(bestMove.from, bestMove.to, parsed.promotion);
+        return this._forceMove(bestMove.from, bestMove.to, parsed.promotion, reason);
     }
 
     _parseSan(san) {
      
-        const cleanSan = san.replace(/[+#?!=]/g, '');
+        const cleanSan = san.replace(/[+#?!]/g, '');
 
         // Castlaeing
         if (cleanSan === 'O-O' || cleanSan === '0-0') return { type: 'castle', side: 'k' };
         if (cleanSan === 'O-O-O' || cleanSan === '0-0-0') return { type: 'castle', side: 'q' };
 
 
-        const regex = /^([NBRQK])?([a-h])?([1-8])?x?([a-h][1-8])(=[NBRQ])?$/;
+        const regex = /^([NBRQK])?([a-h])?([1-8])?(x)?([a-h][1-8])=?([NBRQ])?$/;
         const match = cleanSan.match(regex);
 
         if (!match) return null;
@@ -180,19 +292,105 @@ export class ChessTracker {
             piece: match[1] || 'P', // Default to pawns
             fromFile: match[2],
             fromRank: match[3],
-            to: match[4],
-            promotion: match[5] ? match[5][1].toLowerCase() : null 
+            isCapture: Boolean(match[4]),
+            to: match[5],
+            promotion: match[6] ? match[6].toLowerCase() : null 
         };
     }
 
+    // Scores how plausible it is that `candidate.from` is the piece the SAN meant.
+    // Returns { score, reasons } - reasons end up on the forced move as its annotation.
+    _scoreCandidate(parsed, candidate) {
+        if (candidate.isCastle) return { score: 0, reasons: ["castling"] };
+
+        const { from, to } = candidate;
+        const piece = this.chess.get(from);
+        const target = this.chess.get(to);
+        const dx = to.charCodeAt(0) - from.charCodeAt(0);
+        const dy = parseInt(to[1]) - parseInt(from[1]);
+        const reasons = [];
+        let score = 0;
+
+        if (this._isPathClear(from, to, piece.type)) {
+            score += 4;
+            reasons.push("clear path");
+        } else {
+            reasons.push("path blocked");
+        }
+
+        if (piece.type === 'p') {
+            const forward = piece.color === 'w' ? 1 : -1;
+            if (Math.sign(dy) === forward) {
+                score += 8;
+                reasons.push("forward");
+            } else {
+                score -= 8;
+                reasons.push("moves backwards");
+            }
+            if (Math.abs(dy) === 2 && from[1] !== (piece.color === 'w' ? '2' : '7')) {
+                score -= 2;
+                reasons.push("double step off start rank");
+            }
+            // Pawns capture diagonally and push straight
+            if (parsed.isCapture === (dx !== 0)) score += 2;
+        }
+
+        if (target && target.color === piece.color) {
+            score -= 5;
+            reasons.push("lands on own piece");
+        } else if (parsed.isCapture && target) {
+            score += 3;
+            reasons.push("capture matches");
+        } else if (parsed.isCapture) {
+            score -= 2;
+            reasons.push("nothing to capture");
+        } else if (target) {
+            score -= 1;
+            reasons.push("captures without 'x'");
+        }
+
+        // Closest piece breaks ties
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        score -= distance * 0.1;
+        reasons.push(`${distance} square${distance === 1 ? '' : 's'} away`);
+
+        return { score, reasons };
+    }
+
+    // True when nothing stands between from and to (knights, and non-sliding steps, are always clear)
+    _isPathClear(from, to, pieceType) {
+        if (pieceType === 'n') return true;
+
+        const files = "abcdefgh";
+        let col = files.indexOf(from[0]);
+        let rank = parseInt(from[1]);
+        const toCol = files.indexOf(to[0]);
+        const toRank = parseInt(to[1]);
+        const stepCol = Math.sign(toCol - col);
+        const stepRank = Math.sign(toRank - rank);
+
+        // Only straight lines and diagonals have a path to check
+        if (stepCol !== 0 && stepRank !== 0 && Math.abs(toCol - col) !== Math.abs(toRank - rank)) return true;
+
+        col += stepCol;
+        rank += stepRank;
+        while (col !== toCol || rank !== toRank) {
+            if (this.chess.get(files[col] + rank)) return false;
+            col += stepCol;
+            rank += stepRank;
+        }
+        return true;
+    }
+
     _findCandidates(parsed) {
         const turn = this.chess.turn(); 
-        const pieceType = parsed.piece.toLowerCase();
-        const target = parsed.to;
 
-        // Handle Castling (special case)
+        // Handle Castling (special case) - castle parses have no piece
         if (parsed.type === 'castle') {
             const rank = turn === 'w' ? '1' : '8';
+            const king = this.chess.get('e' + rank);
+            // Nothing to castle with once the king has left home
+            if (!king || king.type !== 'k' || king.color !== turn) return [];
             return [{
                 from: 'e' + rank,
                 to: parsed.side === 'k' ? 'g' + rank : 'c' + rank,
@@ -200,6 +398,9 @@ export class ChessTracker {
             }];
         }
 
+        const pieceType = parsed.piece.toLowerCase();
+        const target = parsed.to;
+
         const board = this.chess.board(); // 2D array
         const candidates = [];
 
@@ -217,7 +418,7 @@ export class ChessTracker {
                     if (parsed.fromRank && parsed.fromRank !== rank) continue;
 
         
-                    if (this._isGeometricallyPossible(pieceType, col, row, target)) {
+                    if (square !== target && this._isGeometricallyPossible(pieceType, col, row, target)) {
                         candidates.push({ from: square, to: target });
                     }
                 }
@@ -252,7 +453,8 @@ export class ChessTracker {
         }
     }
 
-    _forceMove(from, to, promotion) {
+    // reason: optional note on why this piece was picked (see _scoreCandidate)
+    _forceMove(from, to, promotion, reason = null) {
         // This is the "God Mode" move.
 
 
@@ -261,75 +463,124 @@ export class ChessTracker {
 
         
         const captured = this.chess.get(to);
+        // Taking a king leaves a position chess.js can't play on
+        if (captured && captured.type === 'k') return null;
+
+        // A forced castle moves the king and its rook, so both have to be there
+        if (piece.type === 'k' && Math.abs(from.charCodeAt(0) - to.charCodeAt(0)) === 2) {
+            const rook = this.chess.get((to[0] === 'g' ? 'h' : 'a') + from[1]);
+            if (!rook || rook.type !== 'r' || rook.color !== piece.color) return null;
+        }
+
+        // A pawn that lands on the back rank has to become something
+        const lastRank = piece.color === 'w' ? '8' : '1';
+        if (piece.type === 'p' && to[1] === lastRank && !promotion) promotion = 'q';
+
+        // Read the bookkeeping fields before touching the board
+        const [, turn, castling, , halfmove, fullmove] = this.chess.fen().split(' ');
 
-        // Execute move in memory ! 
-        this.chess.remove(from);
-        if (captured) this.chess.remove(to);
+        // Execute move on a copy ! so a move we end up refusing leaves the game alone
+        const next = new Chess(this.chess.fen(), { skipValidation: true });
+        next.remove(from);
+        if (captured) next.remove(to);
 
         let newPiece = { type: piece.type, color: piece.color };
         if (promotion) newPiece.type = promotion;
 
-        this.chess.put(newPiece, to);
+        next.put(newPiece, to);
 
+        let isCastle = false;
         if (piece.type === 'k' && Math.abs(from.charCodeAt(0) - to.charCodeAt(0)) === 2) {
             const rank = from[1];
             if (to[0] === 'g') { // Short castle
-                this.chess.remove('h' + rank);
-                this.chess.put({ type: 'r', color: piece.color }, 'f' + rank);
+                next.remove('h' + rank);
+                next.put({ type: 'r', color: piece.color }, 'f' + rank);
+                isCastle = true;
             } else if (to[0] === 'c') { // Long castle
-                this.chess.remove('a' + rank);
-                this.chess.put({ type: 'r', color: piece.color }, 'd' + rank);
+                next.remove('a' + rank);
+                next.put({ type: 'r', color: piece.color }, 'd' + rank);
+                isCastle = true;
             }
         }
 
         // FORCE SWITCH TURN
-        // chess.js doesn't expose `setTurn`. We must use FEN. Sneaky sneaky sneak
-        let fen = this.chess.fen();
-        let fenParts = fen.split(' ');
-
-        // Toggle turn
-        fenParts[1] = fenParts[1] === 'w' ? 'b' : 'w';
-
-        // Increment fullmove number if black moved
-        if (piece.color === 'b') {
-            fenParts[5] = (parseInt(fenParts[5]) + 1).toString();
+        // chess.js doesn't expose `setTurn`, so we rebuild the whole FEN. Sneaky sneaky sneak
+        const placement = next.fen().split(' ')[0];
+        const newFen = [
+            placement,
+            turn === 'w' ? 'b' : 'w',
+            this._castlingAfterForce(castling, piece, from, to),
+            this._enPassantAfterForce(piece, from, to),
+            (piece.type === 'p' || captured) ? 0 : parseInt(halfmove) + 1,
+            piece.color === 'b' ? parseInt(fullmove) + 1 : parseInt(fullmove),
+        ].join(' ');
+
+        // Forced positions can break FEN rules (pawns on odd squares etc.), load them anyway
+        next.load(newFen, { skipValidation: true });
+
+        // ...but not one where the mover's king can be taken: chess.js would happily
+        // generate the capture and play on without a king. null sends it back as rejected.
+        const opponent = piece.color === 'w' ? 'b' : 'w';
+        if (next.findPiece({ type: 'k', color: piece.color }).some(square => next.isAttacked(square, opponent))) {
+            return null;
         }
 
-
-        fenParts[3] = '-';
-
-        const newFen = fenParts.join(' ');
-        this.chess.load(newFen);
+        this.chess.load(newFen, { skipValidation: true });
 
         // Push to history
         this.boardHistory.push(this._cloneBoard(this.chess.board()));
 
+        let simpleSan = "";
+        if (isCastle) {
+            simpleSan = to[0] === 'g' ? 'O-O' : 'O-O-O';
+        } else {
+            if (piece.type !== 'p') simpleSan += piece.type.toUpperCase();
+            if (captured) simpleSan += (piece.type === 'p' ? from[0] : '') + 'x';
+            simpleSan += to;
+            if (promotion) simpleSan += '=' + promotion.toUpperCase();
+        }
+
         const moveObj = {
             color: piece.color,
             from,
             to,
             piece: piece.type,
             captured: captured ? captured.type : undefined,
-            promotion: promotion,
+            promotion: promotion || undefined,
             flags: 'f', // custom flag for forced
-            san: to.toUpperCase() + "*" // Mark as forced in SAN? Or try to keep clean? 
-  
+            san: simpleSan,
+            after: newFen,
+            forceReason: reason,
         };
 
-  
-        let simpleSan = "";
-        if (piece.type !== 'p') simpleSan += piece.type.toUpperCase();
-        if (captured) simpleSan += 'x';
-        simpleSan += to;
-        if (promotion) simpleSan += '=' + promotion.toUpperCase();
-
-        moveObj.san = simpleSan;
-
         this.moves.push(moveObj);
 
         return { move: moveObj, isIllegal: true };
     }
 
+    // Castling rights after a forced move: moving the king drops both sides,
+    // and anything leaving or landing on a rook's home corner drops that side.
+    _castlingAfterForce(castling, piece, from, to) {
+        if (castling === '-') return '-';
+
+        let rights = castling;
+        if (piece.type === 'k') {
+            rights = rights.replace(piece.color === 'w' ? /[KQ]/g : /[kq]/g, '');
+        }
+        const corners = { h1: 'K', a1: 'Q', h8: 'k', a8: 'q' };
+        for (const square of [from, to]) {
+            if (corners[square]) rights = rights.replace(corners[square], '');
+        }
+        return rights || '-';
+    }
+
+    // A forced pawn double step still gives the opponent en passant
+    _enPassantAfterForce(piece, from, to) {
+        if (piece.type !== 'p' || from[0] !== to[0]) return '-';
+        if (Math.abs(parseInt(to[1]) - parseInt(from[1])) !== 2) return '-';
+        return from[0] + ((parseInt(from[1]) + parseInt(to[1])) / 2);
+    }
+
 
     getLegalMoves() {
         return this.chess.moves({ verbose: true });
@@ -0,0 +1,55 @@
+import { describe, expect, it } from "vitest";
+import { ChessTracker } from "./ChessTracker";
+
+describe("makeForceMoveFromSan", () => {
+    it("forces an illegal O-O, moving king and rook", () => {
+        // The rook on f2 covers f1, so White can't castle legally
+        const tracker = new ChessTracker([], "4k3/8/8/8/8/8/5r2/4K2R w K - 0 1");
+        const result = tracker.makeForceMoveFromSan("O-O");
+
+        expect(result.isIllegal).toBe(true);
+        expect(result.move.san).toBe("O-O");
+        expect(tracker.chess.get("g1")).toMatchObject({ type: "k", color: "w" });
+        expect(tracker.chess.get("f1")).toMatchObject({ type: "r", color: "w" });
+        expect(tracker.chess.get("h1")).toBeFalsy();
+        expect(tracker.turn()).toBe("b");
+    });
+
+    it("refuses to castle without the king on its home square", () => {
+        const tracker = new ChessTracker([], "4k3/8/8/8/8/8/8/5K1R w - - 0 1");
+
+        expect(tracker.makeForceMoveFromSan("0-0")).toBeNull();
+        expect(tracker.fen()).toBe("4k3/8/8/8/8/8/8/5K1R w - - 0 1");
+    });
+
+    it("refuses to castle without a rook to castle with", () => {
+        const tracker = new ChessTracker([], "4k3/8/8/8/8/8/8/4K3 w - - 0 1");
+
+        expect(tracker.makeForceMoveFromSan("O-O-O")).toBeNull();
+        expect(tracker.totalMoves).toBe(0);
+    });
+});
+
+describe("forced moves and check", () => {
+    it("refuses a forced move that leaves the mover's king in check", () => {
+        // 1.e4 f5 2.Qh5+ - Black is in check, and ...a5 doesn't deal with it
+        const tracker = new ChessTracker(["e4", "f5", "Qh5+"]);
+        const fen = tracker.fen();
+
+        expect(tracker.makeForceMoveFromSan("a5")).toBeNull();
+        expect(tracker.fen()).toBe(fen);
+        expect(tracker.totalMoves).toBe(3);
+        // The king can't be captured afterwards either
+        expect(tracker.getLegalMoves().some(m => m.captured === "k")).toBe(false);
+    });
+
+    it("still forces moves that leave the king safe", () => {
+        const tracker = new ChessTracker(["e4", "e5"]);
+        // Jumps the d2 pawn
+        const result = tracker.makeForceMoveFromSan("Qd3");
+
+        expect(result.isIllegal).toBe(true);
+        expect(tracker.chess.get("d3")).toMatchObject({ type: "q", color: "w" });
+        expect(tracker.turn()).toBe("b");
+    });
+});
@@ -0,0 +1,139 @@
+import { getMove, buildSmartPrompt, buildRetryPrompt } from "./modelhandler";
+import { DEFAULT_PROMPT_HINTS, hintsForMode } from "./promptTemplates";
+
+// One AI move: prompt, re-prompt on unusable replies, apply the illegal-move policy and the
+// fallback once retries run out. Shared by GameContext.makeAIMove and the headless tournament
+// runner - they only differ in what they do with the outcome.
+//
+// options: {
+//   model, queryFormat, promptMode,
+//   history,                   // this side's earlier conversation entries
+//   templates, promptHints,    // hints per prompt mode (see promptTemplates.js)
+//   illegalMovePolicy, retryPolicy,
+//   sideName,                  // "White", "Black" or "AI", for forfeit messages
+//   log(entry),                // conversation entry { role, content, meta? }
+//   recordStat(event, moveNumber), // see gameStats.js
+//   illegalCount(),            // this side's illegal moves so far (tournament policy)
+//   isCancelled(),             // true once the game was reset under us
+//   delay,                     // ms to wait before each request
+// }
+// -> { move, forced } | { forfeit: reason } | { paused: true } (fallback 'pause') | { cancelled: true }
+// A request that fails (handler `error`, or a thrown exception) isn't the model's fault: it's
+// thrown to the caller without touching the stats or the conversation the model sees.
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export const playAITurn = async (tracker, {
+  model,
+  queryFormat = "fen",
+  promptMode = "full",
+  history = [],
+  templates = {},
+  promptHints = DEFAULT_PROMPT_HINTS,
+  illegalMovePolicy = { mode: "chaos", maxIllegal: 3 },
+  retryPolicy = { maxAttempts: 3, fallback: "pause" },
+  sideName = "AI",
+  log,
+  recordStat,
+  illegalCount,
+  isCancelled = () => false,
+  delay = 0,
+}) => {
+  const side = tracker.turn();
+  const hints = hintsForMode(promptHints, promptMode);
+  const prompt = buildSmartPrompt(tracker, queryFormat, promptMode, side, templates, hints);
+  // Failed attempts for this move (bad reply + our feedback), resent with each retry
+  const retries = [];
+  const maxAttempts = Math.max(1, retryPolicy.maxAttempts);
+
+  log({ role: "user", content: prompt.content });
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    if (delay) await wait(delay);
+
+    const moveResult = await getMove(tracker, model, queryFormat, { promptMode, aiColor: side, history, retries, templates, hints });
+    if (isCancelled()) return { cancelled: true };
+    if (moveResult?.error) throw new Error(moveResult.error);
+    const raw = moveResult?.raw || "";
+    const san = moveResult?.san || null;
+    const moveNumber = tracker.moveNumber;
+    // How the handler read the reply (confidence + reason), if it used the parser
+    const parse = moveResult?.parse
+      ? { confidence: moveResult.parse.confidence, reason: moveResult.parse.reason }
+      : null;
+    // Structured (JSON) replies carry the model's reasoning separately from the move
+    const reasoning = moveResult?.parse?.reasoning || null;
+
+    let failure = null;
+    if (!san) {
+      if (raw) log({ role: "model", content: raw, meta: { move: null, attempt, parse, reasoning } });
+      recordStat("unparseable", moveNumber);
+      failure = { reason: "unparseable" };
+    } else {
+      let result;
+      if (illegalMovePolicy.mode === "chaos") {
+        result = tracker.makeForceMoveFromSan(san);
+      } else {
+        // strict / tournament: illegal moves never touch the board
+        const move = tracker.makeMoveFromSan(san);
+        result = move ? { move, isIllegal: false } : null;
+      }
+
+      const forced = Boolean(result && result.isIllegal);
+      if (raw) log({
+        role: "model",
+        content: raw,
+        meta: { move: san, attempt, parse, reasoning, forced, rejected: !result, forceReason: forced ? result.move.forceReason : null },
+      });
+
+      if (result && result.move) {
+        if (forced) recordStat("forced", moveNumber);
+        return { move: result.move, forced };
+      }
+
+      recordStat("rejected", moveNumber);
+      failure = { reason: "illegal", san };
+
+      if (illegalMovePolicy.mode === "tournament") {
+        const count = illegalCount();
+        const limit = Math.max(1, illegalMovePolicy.maxIllegal);
+        log({ role: "error", content: `Illegal move ${count}/${limit}: "${san}".` });
+
+        if (count >= limit) {
+          return { forfeit: `${sideName} loses: ${count} illegal move${count === 1 ? "" : "s"} (limit ${limit})` };
+        }
+      }
+    }
+
+    const what = failure.reason === "unparseable"
+      ? "Could not parse a valid move from the response."
+      : `Failed to execute move "${failure.san}". It might be illegal or invalid.`;
+    log({
+      role: "error",
+      content: `AI Response Error (attempt ${attempt}/${maxAttempts}): ${what}`,
+      meta: { attempt },
+    });
+
+    if (attempt < maxAttempts) {
+      recordStat("retry", moveNumber);
+      const feedback = buildRetryPrompt(tracker, failure, promptMode, hints);
+      retries.push({ role: "model", content: raw }, { role: "user", content: feedback });
+      log({ role: "user", content: feedback, meta: { retry: true, attempt: attempt + 1 } });
+    }
+  }
+
+  if (retryPolicy.fallback === "random") {
+    const legalMoves = tracker.getLegalMoves();
+    const fallbackMove = legalMoves[Math.floor(Math.random() * legalMoves.length)];
+    log({ role: "error", content: `Retries exhausted. Playing random move ${fallbackMove.san} instead.` });
+    return { move: tracker.makeMoveFromSan(fallbackMove.san), forced: false };
+  }
+
+  if (retryPolicy.fallback === "forfeit") {
+    log({ role: "error", content: `Retries exhausted. ${sideName === "AI" ? "The AI" : sideName} forfeits.` });
+    return { forfeit: `${sideName} forfeits after ${maxAttempts} failed attempt${maxAttempts === 1 ? "" : "s"}` };
+  }
+
+  // 'pause' - up to the caller (the UI waits for "Resume AI")
+  return { paused: true };
+};
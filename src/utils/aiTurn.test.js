@@ -0,0 +1,50 @@
+import { describe, expect, it } from "vitest";
+import { ChessTracker } from "./ChessTracker";
+import { playAITurn } from "./aiTurn";
+import { createSideStats, recordStatEvent } from "./gameStats";
+import { registerProvider } from "./providerRegistry";
+
+// Scripted replies, one per request
+const replies = [];
+registerProvider({
+  id: "scripted",
+  models: [{ id: "scripted", name: "Scripted" }],
+  getMove: async () => replies.shift(),
+});
+
+const runTurn = (tracker, options = {}) => {
+  const log = [];
+  let stats = createSideStats().w;
+  const turn = playAITurn(tracker, {
+    model: "scripted",
+    log: (entry) => log.push(entry),
+    recordStat: (event, moveNumber) => { stats = recordStatEvent(stats, event, moveNumber); },
+    illegalCount: () => stats.illegal,
+    ...options,
+  });
+  return { turn, log, stats: () => stats };
+};
+
+describe("playAITurn", () => {
+  it("re-prompts after an unusable reply and plays the next one", async () => {
+    replies.push({ raw: "hmm", san: null }, { raw: "e4", san: "e4" });
+    const tracker = new ChessTracker();
+    const { turn, stats } = runTurn(tracker);
+
+    const outcome = await turn;
+    expect(outcome.move.san).toBe("e4");
+    expect(stats().unparseable).toBe(1);
+    expect(stats().retries).toBe(1);
+  });
+
+  it("throws on a failed request without blaming the model", async () => {
+    replies.push({ raw: "", san: null, error: "Error contacting OpenAI: HTTP 401" });
+    const tracker = new ChessTracker();
+    const { turn, log, stats } = runTurn(tracker);
+
+    await expect(turn).rejects.toThrow("HTTP 401");
+    expect(stats()).toEqual(createSideStats().w);
+    expect(log.some(entry => entry.role === "model")).toBe(false);
+    expect(tracker.totalMoves).toBe(0);
+  });
+});
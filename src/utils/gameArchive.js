@@ -0,0 +1,54 @@
+// Every game, saved as it's played, in IndexedDB ("chessllm" database, "games" store).
+// Entries are game records (see gameRecord.js) keyed by their id, with the full conversation.
+const DB_NAME = "chessllm";
+const DB_VERSION = 1;
+const STORE = "games";
+
+let dbPromise = null;
+
+const openArchive = () => {
+  if (typeof indexedDB === "undefined") {
+    return Promise.reject(new Error("IndexedDB is not available"));
+  }
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: "id" });
+        store.createIndex("startedAt", "startedAt");
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+// Runs fn(store) in a transaction and resolves with the request's result
+const withStore = async (mode, fn) => {
+  const db = await openArchive();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    // Aborts (quota exceeded, ...) don't always raise onerror first
+    tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+  });
+};
+
+// Insert or update (same id) - called after every move
+export const saveArchivedGame = (record) => withStore("readwrite", store => store.put(record));
+
+// Newest first
+export const listArchivedGames = async () => {
+  const games = await withStore("readonly", store => store.getAll());
+  return games.sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+};
+
+export const getArchivedGame = (id) => withStore("readonly", store => store.get(id));
+
+export const deleteArchivedGame = (id) => withStore("readwrite", store => store.delete(id));
@@ -0,0 +1,247 @@
+import { ChessTracker } from "./ChessTracker";
+import { createSideStats, recordStatEvent } from "./gameStats";
+import { formatPgn, parsePgn, pgnDate } from "./pgn";
+import { PROMPT_HINTS, hintsForMode } from "./promptTemplates";
+import { listStartPositions } from "./startPositions";
+
+// A saved game: the moves plus the settings it was played under, so results
+// from different setups (model, format, prompt hints...) can be compared later.
+export const GAME_RECORD_VERSION = 1;
+
+// "game-1718000000000-x7k2" - ids for the archive
+export const createGameId = () => `game-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`;
+
+// settings: { playerColor, model, queryFormat, promptMode, promptHints, templates, illegalMovePolicy, retryPolicy, startPosition }
+// promptHints only covers the prompt mode(s) played ({ [mode]: hints }, see hintsInUse);
+// templates only holds the prompt types with a custom preset ({} = the defaults)
+// result: "1-0" | "0-1" | "1/2-1/2" | "*" (still running / abandoned)
+// id, startedAt and conversation are only set for games kept in the archive (gameArchive.js)
+export const createGameRecord = ({ tracker, settings, stats, status = null, statusReason = null, result = "*", id, startedAt, conversation }) => ({
+  ...(id ? { id, startedAt, conversation } : {}),
+  version: GAME_RECORD_VERSION,
+  savedAt: new Date().toISOString(),
+  // null for the normal starting position
+  startFen: tracker.startFen,
+  moves: JSON.parse(tracker.getState()).moves,
+  // Leading moves that were a preset opening line, not either player's
+  ...(tracker.openingPlies ? { openingPlies: tracker.openingPlies } : {}),
+  fen: tracker.fen(),
+  status,
+  statusReason,
+  result,
+  settings: { ...settings, promptHints: { ...settings.promptHints } },
+  stats: { ...stats },
+});
+
+// Result of a finished game from its status. Checkmate and forfeits both end
+// with the losing side still to move.
+export const resultFromStatus = (status, turn) => {
+  if (!status) return "*";
+  if (status === "draw") return "1/2-1/2";
+  return turn === "w" ? "0-1" : "1-0";
+};
+
+// Template types each prompt mode sends
+const MODE_TEMPLATES = { full: ["full"], json: ["json"], conversation: ["initial", "followup"] };
+
+// Short stable fingerprint of the custom template bodies a prompt mode used, null with the defaults
+const hashTemplates = (templates = {}, promptMode = "full") => {
+  const entries = (MODE_TEMPLATES[promptMode] || MODE_TEMPLATES.full)
+    .filter(type => templates[type])
+    .map(type => [type, templates[type]]);
+  if (entries.length === 0) return null;
+  let hash = 5381;
+  for (const char of JSON.stringify(entries)) hash = (hash * 33 + char.charCodeAt(0)) >>> 0;
+  return hash.toString(36);
+};
+
+// What one side was prompted and judged with. Older records that didn't save
+// these were played with the defaults.
+const describeSetup = (settings, promptMode) => {
+  const hints = hintsForMode(settings.promptHints, promptMode);
+  const policy = settings.illegalMovePolicy || { mode: "chaos" };
+  return {
+    hints: PROMPT_HINTS.filter(h => hints[h.id]).map(h => h.id),
+    illegalMoves: policy.mode === "tournament" ? `tournament-${policy.maxIllegal}` : policy.mode,
+    templates: hashTemplates(settings.templates, promptMode),
+  };
+};
+
+// { w, b } player descriptions: { id, name, model?, queryFormat?, promptMode?, hints?, illegalMoves?, templates? }.
+// id identifies a model + prompt configuration (hints, templates and illegal-move policy included),
+// so ratings are kept per configuration.
+export const recordPlayers = (record) => {
+  const { settings } = record;
+  const describe = ({ name, model, queryFormat, promptMode }) => {
+    const setup = describeSetup(settings, promptMode);
+    return {
+      id: [model, queryFormat, promptMode, setup.illegalMoves, setup.hints.join("+") || "no-hints", setup.templates || "default"].join("|"),
+      name: name || model,
+      model,
+      queryFormat,
+      promptMode,
+      ...setup,
+    };
+  };
+
+  if (settings.gameMode === "ai-vs-ai" && settings.aiPlayers) {
+    return { w: describe(settings.aiPlayers.w), b: describe(settings.aiPlayers.b) };
+  }
+
+  const human = { id: "human", name: "Human" };
+  const ai = describe(settings);
+  return settings.playerColor === "b" ? { w: ai, b: human } : { w: human, b: ai };
+};
+
+// Forced (illegal) moves get a "??" and a [%forced e2e5] comment, so an import can put
+// the exact same move back on the board
+const FORCED_NAG = "$4";
+const FORCED_ANNOTATION = /^\[%forced ([a-h][1-8])([a-h][1-8])([qrbn]?)\]\s*/;
+
+// PGN Termination tag values per game status
+const PGN_TERMINATION = {
+  checkmate: "normal",
+  draw: "normal",
+  forfeit: "rules infraction",
+  "move cap": "adjudication",
+  error: "unterminated",
+};
+
+// Model, QueryFormat, PromptMode, IllegalMoves - prefixed White/Black in AI vs AI
+const playerTags = (player, stats, prefix = "") => player.model ? {
+  [`${prefix}Model`]: player.model,
+  [`${prefix}QueryFormat`]: player.queryFormat,
+  [`${prefix}PromptMode`]: player.promptMode,
+  [`${prefix}IllegalMoves`]: stats?.illegal ?? 0,
+} : {};
+
+const oneLine = (text) => String(text).replace(/\s+/g, " ").trim();
+
+// PGN for a game record. Every model reply for a move (failed attempts too) goes in as a
+// {comment} after it; headers override the defaults (Event, Round...).
+export const recordToPgn = (record, headers = {}) => {
+  const { settings, stats = {} } = record;
+  const tracker = new ChessTracker(record.moves, record.startFen, record.openingPlies);
+  const players = recordPlayers(record);
+  const conversation = record.conversation || [];
+  const aiSide = settings.playerColor === "b" ? "w" : "b";
+
+  const moves = tracker.getDetailedMoves().map((move, ply) => {
+    const comments = [];
+    if (move.isForced) {
+      comments.push(`[%forced ${move.from}${move.to}${move.promotion || ""}] ${move.forceReason || ""}`);
+    }
+    conversation
+      .filter(entry => entry.role === "model" && entry.ply === ply)
+      .forEach(entry => {
+        const failed = entry.meta && (entry.meta.rejected || !entry.meta.move);
+        comments.push(`${failed ? "Rejected: " : ""}${entry.content}`);
+      });
+    return { san: move.san, nags: move.isForced ? [FORCED_NAG] : [], comments: comments.map(oneLine) };
+  });
+
+  return formatPgn({
+    headers: {
+      Event: "ChessLLM game",
+      Site: "ChessLLM",
+      Date: pgnDate(new Date(record.startedAt || record.savedAt || Date.now())),
+      White: players.w.name,
+      Black: players.b.name,
+      ...(settings.gameMode === "ai-vs-ai"
+        ? { ...playerTags(players.w, stats.w, "White"), ...playerTags(players.b, stats.b, "Black") }
+        : playerTags(players[aiSide], stats[aiSide])),
+      IllegalMovePolicy: settings.illegalMovePolicy?.mode,
+      ECO: settings.startPosition?.eco,
+      Opening: settings.startPosition?.eco ? settings.startPosition.name : undefined,
+      Termination: PGN_TERMINATION[record.status],
+      ...headers,
+    },
+    moves,
+    result: record.result,
+    startFen: record.startFen,
+  });
+};
+
+// Game record from the first game in a PGN file, for replay. Forced moves come back from
+// their [%forced] comment, any other comment becomes a model reply in the conversation.
+export const recordFromPgn = (text) => {
+  const { headers, moves, result } = parsePgn(text);
+  if (moves.length === 0 && Object.keys(headers).length === 0) {
+    throw new Error("No PGN game found");
+  }
+
+  const fenError = headers.FEN ? ChessTracker.validateFen(headers.FEN) : null;
+  if (fenError) throw new Error(`Bad FEN tag: ${fenError}`);
+
+  const tracker = new ChessTracker([], headers.FEN || null);
+  const stats = createSideStats();
+  const conversation = [];
+
+  moves.forEach(({ san, comments }, ply) => {
+    const side = tracker.turn();
+    const moveNumber = tracker.moveNumber;
+    const forced = comments.map(c => c.match(FORCED_ANNOTATION)).find(Boolean);
+
+    // Illegal moves without our annotation get forced the same way chaos mode would
+    const played = forced
+      ? tracker.applyMove({ from: forced[1], to: forced[2], promotion: forced[3] || null, forced: true, reason: forced.input.slice(forced[0].length) || null })
+      : Boolean(tracker.makeMoveFromSan(san) || tracker.makeForceMoveFromSan(san));
+    if (!played) {
+      throw new Error(`Move ${moveNumber}${side === "w" ? "." : "..."} ${san} can't be played`);
+    }
+
+    if (tracker.moves[tracker.totalMoves - 1].flags === "f") {
+      stats[side] = recordStatEvent(stats[side], "forced", moveNumber);
+    }
+    comments
+      .filter(c => !FORCED_ANNOTATION.test(c))
+      .forEach(content => conversation.push({ timestamp: Date.now(), side, ply, role: "model", content }));
+  });
+
+  const player = (prefix) => ({
+    model: headers[`${prefix}Model`],
+    queryFormat: headers[`${prefix}QueryFormat`] || "fen",
+    promptMode: headers[`${prefix}PromptMode`] || "full",
+  });
+  const settings = headers.WhiteModel && headers.BlackModel
+    ? { gameMode: "ai-vs-ai", aiPlayers: { w: player("White"), b: player("Black") } }
+    : { gameMode: "human", playerColor: headers.Black === "Human" ? "b" : "w", ...(headers.Model ? player("") : {}) };
+  if (headers.FEN) {
+    settings.startPosition = { id: "custom", name: headers.Opening || "Custom position", fen: headers.FEN, ...(headers.ECO ? { eco: headers.ECO } : {}) };
+  } else if (headers.ECO) {
+    // One of our openings, if the moves still begin with its line
+    const opening = listStartPositions().find(p =>
+      p.eco === headers.ECO && p.moves && p.moves.every((san, i) => tracker.moves[i]?.san === san)
+    );
+    if (opening) {
+      settings.startPosition = opening;
+      tracker.openingPlies = opening.moves.length;
+    }
+  }
+
+  // Rejected moves never reached the board, so only the IllegalMoves tags know about them
+  const illegalTags = settings.gameMode === "ai-vs-ai"
+    ? { w: headers.WhiteIllegalMoves, b: headers.BlackIllegalMoves }
+    : { [settings.playerColor === "b" ? "w" : "b"]: headers.IllegalMoves };
+  for (const [side, count] of Object.entries(illegalTags)) {
+    stats[side] = { ...stats[side], illegal: Math.max(stats[side].illegal, Number(count) || 0) };
+  }
+
+  let status = null;
+  if (result !== "*") {
+    if (tracker.isCheckmate()) status = "checkmate";
+    else status = result === "1/2-1/2" ? "draw" : "forfeit";
+  }
+
+  return createGameRecord({
+    id: createGameId(),
+    startedAt: new Date().toISOString(),
+    conversation,
+    tracker,
+    settings,
+    stats,
+    status,
+    statusReason: headers.Termination || null,
+    result,
+  });
+};
@@ -0,0 +1,72 @@
+import { describe, expect, it } from "vitest";
+import { ChessTracker } from "./ChessTracker";
+import { createGameRecord, recordFromPgn, recordPlayers, recordToPgn } from "./gameRecord";
+import { createSideStats } from "./gameStats";
+import { DEFAULT_PROMPT_HINTS } from "./promptTemplates";
+
+const aiVsAi = (settings = {}) => ({
+  settings: {
+    gameMode: "ai-vs-ai",
+    aiPlayers: {
+      w: { model: "mock", queryFormat: "fen", promptMode: "full" },
+      b: { model: "random", queryFormat: "fen", promptMode: "full" },
+    },
+    ...settings,
+  },
+});
+
+describe("recordPlayers", () => {
+  it("rates different hints, templates and illegal-move policies separately", () => {
+    const base = recordPlayers(aiVsAi()).w.id;
+
+    expect(recordPlayers(aiVsAi({ promptHints: { full: { ...DEFAULT_PROMPT_HINTS.full, legalMoves: false } } })).w.id).not.toBe(base);
+    expect(recordPlayers(aiVsAi({ templates: { full: "Move, {{color}}." } })).w.id).not.toBe(base);
+    // Conversation templates and hints played no part in a full-prompt game
+    expect(recordPlayers(aiVsAi({ templates: { followup: "Go." } })).w.id).toBe(base);
+    expect(recordPlayers(aiVsAi({ promptHints: { conversation: { material: true } } })).w.id).toBe(base);
+    expect(recordPlayers(aiVsAi({ illegalMovePolicy: { mode: "strict", maxIllegal: 3 } })).w.id).not.toBe(base);
+  });
+
+  it("treats records without saved hints or policy as the defaults", () => {
+    const explicit = aiVsAi({ promptHints: DEFAULT_PROMPT_HINTS, templates: {}, illegalMovePolicy: { mode: "chaos", maxIllegal: 3 } });
+
+    expect(recordPlayers(aiVsAi()).w.id).toBe(recordPlayers(explicit).w.id);
+  });
+});
+
+describe("recordToPgn / recordFromPgn", () => {
+  it("brings a game with a forced move back exactly", () => {
+    const tracker = new ChessTracker(["e4", "e5"]);
+    // Jumps the d2 pawn
+    expect(tracker.makeForceMoveFromSan("Qd3").isIllegal).toBe(true);
+    tracker.makeMoveFromSan("Nc6");
+    const record = createGameRecord({
+      id: "game-1",
+      startedAt: "2026-01-01T00:00:00.000Z",
+      conversation: [{ role: "model", ply: 2, side: "w", content: "Qd3 {obviously}", meta: { move: "Qd3" } }],
+      tracker,
+      settings: {
+        gameMode: "ai-vs-ai",
+        aiPlayers: {
+          w: { name: 'Mock "A"', model: "mock", queryFormat: "fen", promptMode: "full" },
+          b: { name: "Random", model: "random", queryFormat: "pgn", promptMode: "conversation" },
+        },
+      },
+      stats: createSideStats(),
+    });
+
+    const pgn = recordToPgn(record);
+    expect(pgn).toContain("2. Qd3 $4 {[%forced d1d3]");
+    expect(pgn).toContain('[White "Mock \\"A\\""]');
+
+    const imported = recordFromPgn(pgn);
+    const replayed = new ChessTracker(imported.moves, imported.startFen);
+    expect(imported.fen).toBe(record.fen);
+    expect(replayed.getDetailedMoves().map(m => [m.san, Boolean(m.isForced)])).toEqual(
+      tracker.getDetailedMoves().map(m => [m.san, Boolean(m.isForced)])
+    );
+    expect(imported.stats.w.forced).toBe(1);
+    expect(imported.conversation.map(e => e.content)).toEqual(["Qd3 {obviously)"]);
+    expect(imported.settings.aiPlayers.b).toMatchObject({ model: "random", queryFormat: "pgn", promptMode: "conversation" });
+  });
+});
@@ -0,0 +1,42 @@
+// Per-game counters for how badly the model is behaving.
+// Events:
+//   'forced'      - illegal move forced onto the board (chaos mode)
+//   'rejected'    - illegal move refused (strict/tournament, or chaos when it can't be forced)
+//   'unparseable' - no move found in the reply
+//   'retry'       - the model was re-prompted
+export const createGameStats = () => ({
+  illegal: 0,
+  forced: 0,
+  unparseable: 0,
+  retries: 0,
+  // Full-move number of the first illegal/unparseable reply, null while the model behaves
+  firstFailureMove: null,
+});
+
+// One set of counters per colour ({ w, b }), only the AI side(s) ever move off zero
+export const createSideStats = () => ({ w: createGameStats(), b: createGameStats() });
+
+export const recordStatEvent = (stats, event, moveNumber) => {
+  const next = { ...stats };
+
+  switch (event) {
+    case 'forced':
+      next.forced += 1;
+      next.illegal += 1;
+      break;
+    case 'rejected':
+      next.illegal += 1;
+      break;
+    case 'unparseable':
+      next.unparseable += 1;
+      break;
+    case 'retry':
+      next.retries += 1;
+      return next;
+    default:
+      return stats;
+  }
+
+  if (next.firstFailureMove === null) next.firstFailureMove = moveNumber;
+  return next;
+};
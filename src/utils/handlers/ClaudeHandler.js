@@ -1,14 +1,134 @@
+import { buildChatMessages, isJsonPromptMode, CHESS_SYSTEM_PROMPT, CHESS_JSON_SYSTEM_PROMPT } from "../modelhandler";
+import { registerProvider } from "../providerRegistry";
+import { parseMoveFromResponse } from "../moveParser";
+
+const DEFAULT_BASE_URL = "https://api.anthropic.com/v1";
+const ANTHROPIC_VERSION = "2023-06-01";
+
+// Our short ids -> Messages API model names (aliases, so they follow the latest snapshot).
+// ANTHROPIC_MODELS in keys.json overrides any of them, e.g. { "claude-opus": "claude-opus-4-1-20250805" }.
+const DEFAULT_MODEL_IDS = {
+  "claude-opus": "claude-opus-4-1",
+  "claude-sonnet": "claude-sonnet-4-5",
+  "claude-haiku": "claude-haiku-4-5",
+};
+
+// Tiles from before the Claude 3 snapshots were retired, still found in saved games and settings
+const LEGACY_IDS = {
+  "claude-3-opus": "claude-opus",
+  "claude-3-sonnet": "claude-sonnet",
+};
+
+let MODEL_IDS = DEFAULT_MODEL_IDS;
+
+let API_KEY = null;
+let BASE_URL = DEFAULT_BASE_URL;
+let SYSTEM_PROMPT = CHESS_SYSTEM_PROMPT;
+let SYSTEM_PROMPT_OVERRIDDEN = false;
+
 export const initClaude = async () => {
-    // Placeholder for API initialization
-    await new Promise(resolve => setTimeout(resolve, 500));
+  try {
+    // Same keys.json as Gemini/OpenAI (src/keys.json)
+    const keyModule = await import('../../keys.json');
+    const keys = keyModule.default || keyModule;
+    API_KEY = keys.ANTHROPIC_API_KEY || null;
+    BASE_URL = (keys.ANTHROPIC_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, "");
+    SYSTEM_PROMPT = keys.ANTHROPIC_SYSTEM_PROMPT ?? CHESS_SYSTEM_PROMPT;
+    SYSTEM_PROMPT_OVERRIDDEN = keys.ANTHROPIC_SYSTEM_PROMPT !== undefined;
+    MODEL_IDS = { ...DEFAULT_MODEL_IDS, ...keys.ANTHROPIC_MODELS };
+
+    if (!API_KEY) {
+      console.error("Anthropic key missing in keys.json");
+      return false;
+    }
+    console.log(`Claude initialized (${BASE_URL})`);
     return true;
+  } catch (e) {
+    console.error("Failed to load keys.json for Claude", e);
+    return false;
+  }
 };
 
-export const getClaudeMove = async (tracker, model, queryFormat) => {
-    console.log(`[ClaudeHandler] Would query ${model}...`);
-    // Placeholder logic
-    return {
-        raw: `[Placeholder] Claude logic for ${model} not implemented yet.`,
-        san: null
+export const getClaudeMove = async (tracker, model, queryFormat, options = {}) => {
+  console.log(`[ClaudeHandler] Querying ${model}...`);
+
+  if (!API_KEY) {
+    return { raw: "", san: null, error: "Anthropic API Key not initialized." };
+  }
+
+  const messages = buildChatMessages(tracker, queryFormat, options)
+    .map(m => ({ role: m.role === "model" ? "assistant" : "user", content: m.content }));
+  let rawResponse = "";
+  let san = null;
+  let parse = null;
+
+  // The Messages API has no JSON mode, so prefill the reply with "{" instead
+  const jsonMode = isJsonPromptMode(options.promptMode);
+  if (jsonMode) messages.push({ role: "assistant", content: "{" });
+
+  try {
+    const body = {
+      model: MODEL_IDS[LEGACY_IDS[model] || model] || model,
+      max_tokens: 1024,
+      messages
     };
+    const system = jsonMode && !SYSTEM_PROMPT_OVERRIDDEN ? CHESS_JSON_SYSTEM_PROMPT : SYSTEM_PROMPT;
+    if (system) body.system = system;
+
+    const response = await fetch(`${BASE_URL}/messages`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': API_KEY,
+        'anthropic-version': ANTHROPIC_VERSION,
+        // We call straight from the browser with the user's own key
+        'anthropic-dangerous-direct-browser-access': 'true'
+      },
+      body: JSON.stringify(body)
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error?.message || `HTTP ${response.status}`);
+    }
+
+    let text = (data.content || [])
+      .filter(block => block.type === "text")
+      .map(block => block.text)
+      .join("");
+    if (!text) {
+      throw new Error("Invalid Claude response: " + JSON.stringify(data));
+    }
+
+    if (jsonMode) text = "{" + text;
+
+    rawResponse = text;
+    parse = parseMoveFromResponse(text, tracker);
+    san = parse.san;
+  } catch (err) {
+    console.error("Claude API Error:", err);
+    return { raw: "", san: null, parse: null, error: "Error contacting Claude: " + err.message };
+  }
+
+  return { raw: rawResponse, san, parse };
 };
+
+registerProvider({
+  id: "anthropic",
+  name: "Anthropic",
+  order: 20,
+  models: [
+    { id: "claude-opus", name: "Claude Opus 4.1" },
+    { id: "claude-sonnet", name: "Claude Sonnet 4.5" },
+    { id: "claude-haiku", name: "Claude Haiku 4.5" },
+  ],
+  matchesModel: (modelId) => modelId in LEGACY_IDS,
+  init: initClaude,
+  getMove: getClaudeMove,
+  config: [
+    { key: "ANTHROPIC_API_KEY", required: true, description: "API key" },
+    { key: "ANTHROPIC_BASE_URL", required: false, description: "Messages API base URL" },
+    { key: "ANTHROPIC_SYSTEM_PROMPT", required: false, description: "Overrides the default system prompt" },
+    { key: "ANTHROPIC_MODELS", required: false, description: "Tile id -> API model id overrides" },
+  ],
+});
@@ -1,4 +1,6 @@
-import { buildSmartPrompt } from "../modelhandler";
+import { buildChatMessages, isJsonPromptMode, MOVE_JSON_SCHEMA } from "../modelhandler";
+import { registerProvider } from "../providerRegistry";
+import { parseMoveFromResponse } from "../moveParser";
 
 let API_KEY = null;
 
@@ -26,15 +28,14 @@ export const initGemini = async () => {
   }
 };
 
-export const getGeminiMove = async (tracker, model, queryFormat) => {
+export const getGeminiMove = async (tracker, model, queryFormat, options = {}) => {
   console.log(`[GeminiHandler] Querying ${model}...`);
   
   if (!API_KEY) {
-      return { raw: "Error: Gemini API Key not initialized.", san: null };
+      return { raw: "", san: null, error: "Gemini API Key not initialized." };
   }
 
-  const prompt = buildSmartPrompt(tracker, queryFormat, "full", tracker.turn());
-  const promptText = prompt.content;
+  const messages = buildChatMessages(tracker, queryFormat, options);
   let rawResponse = "";
   let selectedMove = null;
 
@@ -48,9 +49,17 @@ export const getGeminiMove = async (tracker, model, queryFormat) => {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          contents: [{
-            parts: [{ text: promptText }]
-          }]
+          // Gemini already calls the assistant side "model"
+          contents: messages.map(m => ({
+            role: m.role,
+            parts: [{ text: m.content }]
+          })),
+          ...(isJsonPromptMode(options.promptMode) && {
+            generationConfig: {
+              responseMimeType: "application/json",
+              responseSchema: MOVE_JSON_SCHEMA
+            }
+          })
         })
       }
     );
@@ -60,30 +69,34 @@ export const getGeminiMove = async (tracker, model, queryFormat) => {
       const text = data.candidates[0].content.parts[0].text;
       rawResponse = text;
       
-      const sanRegex = /[KQRBN]?[a-h]?[1-8]?x?[a-h][1-8](=[QRBN])?|O-O-O|O-O/g;
-      const matches = text.match(sanRegex);
-      
-      if (matches && matches.length > 0) {
-        selectedMove = { san: matches[matches.length - 1] };
-      } else {
-        selectedMove = { san: text.trim() };
-      }
+      selectedMove = parseMoveFromResponse(text, tracker);
     } else {
       throw new Error("Invalid Gemini response: " + JSON.stringify(data));
     }
 
   } catch (err) {
     console.error("Gemini API Error:", err);
-    rawResponse = "Error contacting Gemini: " + err.message + " (Playing random move)";
-    // We could return null or let the fallback happen in the dispatcher, 
-    // but the dispatcher expects a result. 
-    // Ideally we return the error in raw, and maybe a null/random SAN?
-    // For now, let's just return what we have (null san).
-    // The GameContext checks result && result.san.
+    // Reported as `error`, not `raw`, so it isn't mistaken for the model's reply
+    return { raw: "", san: null, parse: null, error: "Error contacting Gemini: " + err.message };
   }
 
   return {
     raw: rawResponse,
-    san: selectedMove ? selectedMove.san : null
+    san: selectedMove ? selectedMove.san : null,
+    parse: selectedMove
   };
 };
+
+registerProvider({
+  id: "google",
+  name: "Google",
+  order: 30,
+  models: [
+    { id: "gemini-pro", name: "Gemini Pro" },
+  ],
+  init: initGemini,
+  getMove: getGeminiMove,
+  config: [
+    { key: "GOOGLE_API_KEY", required: true, description: "Gemini API key" },
+  ],
+});
@@ -0,0 +1,123 @@
+import { buildChatMessages, isJsonPromptMode, MOVE_JSON_SCHEMA } from "../modelhandler";
+import { registerProvider } from "../providerRegistry";
+import { parseMoveFromResponse } from "../moveParser";
+
+// Offline play against a local server. Two flavours:
+//   "ollama"   - Ollama's /api/tags + /api/chat
+//   "llamacpp" - llama.cpp server (or anything else OpenAI-compatible) at /v1/models + /v1/chat/completions
+const DEFAULT_BASE_URL = "http://localhost:11434";
+const MODEL_PREFIX = "local:";
+
+let BASE_URL = DEFAULT_BASE_URL;
+let FLAVOR = "ollama";
+// Shared by every caller, so one that arrives while keys.json is still loading waits for it
+let configPromise = null;
+
+const loadConfig = () => {
+  configPromise ??= (async () => {
+    try {
+      const keyModule = await import('../../keys.json');
+      const keys = keyModule.default || keyModule;
+      BASE_URL = (keys.LOCAL_LLM_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, "");
+      FLAVOR = keys.LOCAL_LLM_FLAVOR === "llamacpp" ? "llamacpp" : "ollama";
+    } catch {
+      // No keys.json is fine here, the defaults point at a stock Ollama install
+    }
+  })();
+  return configPromise;
+};
+
+const toLocalName = (modelId) => modelId.slice(MODEL_PREFIX.length);
+
+export const fetchLocalModels = async () => {
+  await loadConfig();
+
+  if (FLAVOR === "llamacpp") {
+    const response = await fetch(`${BASE_URL}/v1/models`);
+    const data = await response.json();
+    return (data.data || []).map(m => ({ id: MODEL_PREFIX + m.id, name: m.id }));
+  }
+
+  const response = await fetch(`${BASE_URL}/api/tags`);
+  const data = await response.json();
+  return (data.models || []).map(m => ({ id: MODEL_PREFIX + m.name, name: m.name }));
+};
+
+export const initLocalLLM = async (modelId) => {
+  try {
+    const models = await fetchLocalModels();
+    if (!models.some(m => m.id === modelId)) {
+      console.error(`Local model ${toLocalName(modelId)} not found at ${BASE_URL}`);
+      return false;
+    }
+    console.log(`Local LLM initialized (${BASE_URL}, ${FLAVOR})`);
+    return true;
+  } catch (e) {
+    console.error(`Local LLM server unreachable at ${BASE_URL}`, e);
+    return false;
+  }
+};
+
+export const getLocalLLMMove = async (tracker, model, queryFormat, options = {}) => {
+  await loadConfig();
+  const localModel = toLocalName(model);
+  console.log(`[LocalLLMHandler] Querying ${localModel}...`);
+
+  const messages = buildChatMessages(tracker, queryFormat, options)
+    .map(m => ({ role: m.role === "model" ? "assistant" : "user", content: m.content }));
+  let rawResponse = "";
+  let san = null;
+  let parse = null;
+
+  try {
+    const isOllama = FLAVOR === "ollama";
+    const url = isOllama ? `${BASE_URL}/api/chat` : `${BASE_URL}/v1/chat/completions`;
+
+    const body = { model: localModel, messages, stream: false };
+    if (isJsonPromptMode(options.promptMode)) {
+      // Ollama takes a schema in `format`, llama.cpp follows OpenAI's response_format
+      if (isOllama) body.format = MOVE_JSON_SCHEMA;
+      else body.response_format = { type: "json_object" };
+    }
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error?.message || data.error || `HTTP ${response.status}`);
+    }
+
+    const text = isOllama ? data.message?.content : data.choices?.[0]?.message?.content;
+    if (typeof text !== "string") {
+      throw new Error("Invalid local LLM response: " + JSON.stringify(data));
+    }
+
+    rawResponse = text;
+    parse = parseMoveFromResponse(text, tracker);
+    san = parse.san;
+  } catch (err) {
+    console.error("Local LLM Error:", err);
+    return { raw: "", san: null, parse: null, error: "Error contacting local LLM: " + err.message };
+  }
+
+  return { raw: rawResponse, san, parse };
+};
+
+registerProvider({
+  id: "local-llm",
+  name: "Local LLM",
+  order: 40,
+  models: [],
+  fetchModels: fetchLocalModels,
+  matchesModel: (modelId) => modelId.startsWith(MODEL_PREFIX),
+  init: initLocalLLM,
+  getMove: getLocalLLMMove,
+  config: [
+    { key: "LOCAL_LLM_BASE_URL", required: false, description: "Defaults to http://localhost:11434" },
+    { key: "LOCAL_LLM_FLAVOR", required: false, description: "\"ollama\" (default) or \"llamacpp\"" },
+  ],
+});
@@ -0,0 +1,55 @@
+import { registerProvider } from "../providerRegistry";
+import { parseMoveFromResponse } from "../moveParser";
+
+// Offline, deterministic stand-ins for real models - same position, same reply.
+// Handy for the headless tournament runner in CI, where there's no network.
+//   mock              - always replies with a legal move, wrapped in a bit of prose
+//   mock-hallucinator - like mock, but every few replies names a move that isn't legal
+
+const hashString = (text) => {
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = (hash * 31 + text.charCodeAt(i)) >>> 0;
+  }
+  return hash;
+};
+
+const PHRASES = [
+  (san) => `I'll play ${san}.`,
+  (san) => `After some thought, my move is **${san}**.`,
+  (san) => san,
+  (san) => `{"reasoning": "Developing and keeping options open.", "move": "${san}"}`,
+];
+
+// Squares a confused model might "move" a piece to
+const HALLUCINATED = ["Qh5", "Nf5", "Bb5", "Rd1", "Ke2", "e5", "Qxf7"];
+
+export const getMockMove = async (tracker, model, queryFormat, options = {}) => {
+  const legalMoves = tracker.getLegalMoves();
+  if (legalMoves.length === 0) return null;
+
+  // Retries get a different (but still deterministic) reply
+  const attempt = (options.retries || []).length;
+  const hash = hashString(`${model}|${tracker.fen()}|${attempt}`);
+  let san = legalMoves[hash % legalMoves.length].san;
+
+  if (model === "mock-hallucinator" && hash % 5 === 0) {
+    const illegal = HALLUCINATED.filter(m => !legalMoves.some(l => l.san.replace(/[+#]/, "") === m));
+    if (illegal.length > 0) san = illegal[hash % illegal.length];
+  }
+
+  const raw = PHRASES[(hash >>> 3) % PHRASES.length](san);
+  const parse = parseMoveFromResponse(raw, tracker);
+  return { raw, san: parse.san, parse };
+};
+
+registerProvider({
+  id: "mock",
+  name: "Mock",
+  order: 5,
+  models: [
+    { id: "mock", name: "Mock (deterministic)" },
+    { id: "mock-hallucinator", name: "Mock Hallucinator" },
+  ],
+  getMove: getMockMove,
+});
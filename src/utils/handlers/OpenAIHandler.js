@@ -1,14 +1,102 @@
+import { buildChatMessages, isJsonPromptMode } from "../modelhandler";
+import { registerProvider } from "../providerRegistry";
+import { parseMoveFromResponse } from "../moveParser";
+
+const DEFAULT_BASE_URL = "https://api.openai.com/v1";
+
+// jsonMode: accepts response_format json_object. Older models (gpt-4) reject it with a 400,
+// so they get the JSON prompt on its own.
+const MODELS = [
+  { id: "gpt-4", name: "GPT-4" },
+  { id: "gpt-3.5-turbo", name: "GPT-3.5 Turbo", jsonMode: true },
+];
+
+const supportsJsonMode = (model) => Boolean(MODELS.find(m => m.id === model)?.jsonMode);
+
+let API_KEY = null;
+let BASE_URL = DEFAULT_BASE_URL;
+
+// Only the real API needs a key; initOpenAI relaxes this once OPENAI_BASE_URL points elsewhere
+const API_KEY_CONFIG = { key: "OPENAI_API_KEY", required: true, description: "API key (not needed with a self-hosted OPENAI_BASE_URL)" };
+
 export const initOpenAI = async () => {
-    // Placeholder for API initialization
-    await new Promise(resolve => setTimeout(resolve, 500));
+  try {
+    // keys.json lives in src/ (see GeminiHandler). OPENAI_BASE_URL is optional and lets us
+    // point at a local mock server or any OpenAI-compatible self-hosted endpoint.
+    const keyModule = await import('../../keys.json');
+    const keys = keyModule.default || keyModule;
+    API_KEY = keys.OPENAI_API_KEY || null;
+    BASE_URL = (keys.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, "");
+    API_KEY_CONFIG.required = BASE_URL === DEFAULT_BASE_URL;
+
+    // Self-hosted servers often don't need a key, the real API does
+    if (!API_KEY && BASE_URL === DEFAULT_BASE_URL) {
+      console.error("OpenAI key missing in keys.json");
+      return false;
+    }
+    console.log(`OpenAI initialized (${BASE_URL})`);
     return true;
+  } catch (e) {
+    console.error("Failed to load keys.json for OpenAI", e);
+    return false;
+  }
 };
 
-export const getOpenAIMove = async (tracker, model, queryFormat) => {
-    console.log(`[OpenAIHandler] Would query ${model}...`);
-    // Placeholder logic
-    return {
-        raw: `[Placeholder] OpenAI logic for ${model} not implemented yet.`,
-        san: null
-    };
+export const getOpenAIMove = async (tracker, model, queryFormat, options = {}) => {
+  console.log(`[OpenAIHandler] Querying ${model}...`);
+
+  const messages = buildChatMessages(tracker, queryFormat, options)
+    .map(m => ({ role: m.role === "model" ? "assistant" : "user", content: m.content }));
+  let rawResponse = "";
+  let san = null;
+  let parse = null;
+
+  try {
+    const headers = { 'Content-Type': 'application/json' };
+    if (API_KEY) headers.Authorization = `Bearer ${API_KEY}`;
+
+    const response = await fetch(`${BASE_URL}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model,
+        messages,
+        // Native JSON mode for the structured prompt, where the model has it
+        ...(isJsonPromptMode(options.promptMode) && supportsJsonMode(model) && { response_format: { type: "json_object" } })
+      })
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error?.message || `HTTP ${response.status}`);
+    }
+
+    const text = data.choices?.[0]?.message?.content;
+    if (typeof text !== "string") {
+      throw new Error("Invalid OpenAI response: " + JSON.stringify(data));
+    }
+
+    rawResponse = text;
+    parse = parseMoveFromResponse(text, tracker);
+    san = parse.san;
+  } catch (err) {
+    console.error("OpenAI API Error:", err);
+    // Not the model's reply - callers keep these out of the conversation and the stats
+    return { raw: "", san: null, parse: null, error: "Error contacting OpenAI: " + err.message };
+  }
+
+  return { raw: rawResponse, san, parse };
 };
+
+registerProvider({
+  id: "openai",
+  name: "OpenAI",
+  order: 10,
+  models: MODELS,
+  init: initOpenAI,
+  getMove: getOpenAIMove,
+  config: [
+    API_KEY_CONFIG,
+    { key: "OPENAI_BASE_URL", required: false, description: "Chat-completions base URL" },
+  ],
+});
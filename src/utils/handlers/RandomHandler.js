@@ -1,3 +1,5 @@
+import { registerProvider } from "../providerRegistry";
+
 export const getRandomMove = async (tracker) => {
     const legalMoves = tracker.getLegalMoves();
     if (legalMoves.length === 0) return null;
@@ -20,3 +22,13 @@ export const getRandomMove = async (tracker) => {
         san: selectedMove.san
     };
 };
+
+registerProvider({
+    id: "random",
+    name: "Local",
+    order: 0,
+    models: [
+        { id: "random", name: "Random (No AI)" },
+    ],
+    getMove: getRandomMove,
+});
@@ -0,0 +1,3 @@
+// Importing this module registers every provider in this folder.
+// Any *Handler.js dropped in here is picked up, no list to keep in sync.
+import.meta.glob('./*Handler.js', { eager: true });
@@ -0,0 +1,24 @@
+// The game in progress, kept in localStorage so a reload can pick it back up.
+// Stored as a game record (see gameRecord.js): tracker state (forced moves included),
+// conversation, settings and stats.
+const STORAGE_KEY = "chessllm.liveGame";
+
+export const loadLiveGame = () => {
+  try {
+    if (typeof localStorage === "undefined") return null;
+    const record = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return record && Array.isArray(record.moves) && record.settings ? record : null;
+  } catch {
+    return null;
+  }
+};
+
+export const saveLiveGame = (record) => {
+  if (typeof localStorage === "undefined") return;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(record));
+};
+
+export const clearLiveGame = () => {
+  if (typeof localStorage === "undefined") return;
+  localStorage.removeItem(STORAGE_KEY);
+};
@@ -1,141 +1,282 @@
-import { initGemini, getGeminiMove } from "./handlers/GeminiHandler";
-import { initOpenAI, getOpenAIMove } from "./handlers/OpenAIHandler";
-import { initClaude, getClaudeMove } from "./handlers/ClaudeHandler";
-import { getRandomMove } from "./handlers/RandomHandler";
+import { getProvider, getProviderForModel } from "./providerRegistry";
+import { DEFAULT_TEMPLATES, PROMPT_HINTS, hintsForMode, renderTemplate } from "./promptTemplates";
 
-export const getMove = async (tracker, model = "random", queryFormat = "fen") => {
+// Providers register themselves (see providerRegistry.js / handlers/index.js).
+// Unknown models fall back to random moves, as before.
+const resolveProvider = (model) => getProviderForModel(model) || getProvider("random");
+
+// options: { promptMode, aiColor, history, retries, templates, hints } - history is the GameContext conversation so far
+// -> { raw, san, parse } or, when the request itself failed (network, HTTP error, no key), { raw: "", san: null, error }
+export const getMove = async (tracker, model = "random", queryFormat = "fen", options = {}) => {
   const legalMoves = tracker.getLegalMoves();
   if (legalMoves.length === 0) return null;
 
-  switch (model) {
-    case "gemini-pro": 
-      return getGeminiMove(tracker, model, queryFormat);
-
-    case "gpt-4":
-    case "gpt-3.5-turbo":
-      return getOpenAIMove(tracker, model, queryFormat);
-
-    case "claude-3-opus":
-    case "claude-3-sonnet":
-      return getClaudeMove(tracker, model, queryFormat);
+  const provider = resolveProvider(model);
+  if (!provider) throw new Error(`No provider registered for model "${model}"`);
 
-    case "random":
-    default:
-      return getRandomMove(tracker);
-  }
+  return provider.getMove(tracker, model, queryFormat, options);
 };
 
 // Dispatcher for init 
-export const initModel = async (model, apiKey) => {
+export const initModel = async (model) => {
   console.log(`[ModelHandler] Initializing ${model}...`);
-  
-  if (model === 'random') return true;
-
-  if (model === "gemini-pro") {
-      return initGemini();
-  }
-  
-  if (model.startsWith("gpt")) {
-      return initOpenAI();
-  }
 
-  if (model.startsWith("claude")) {
-      return initClaude();
-  }
+  const provider = resolveProvider(model);
+  if (!provider || !provider.init) return true;
 
-  return true;
+  return provider.init(model);
 };
 
 
 
-export const formatBoardState = (tracker, format = "fen") => {
+// Default system prompt for providers that take one separately from the messages
+export const CHESS_SYSTEM_PROMPT = "You are a chess engine. Reply with a single legal move in standard algebraic notation.";
+
+// Structured-output mode: the model explains itself in "reasoning" and commits to "move"
+export const JSON_PROMPT_MODE = "json";
+export const isJsonPromptMode = (promptMode) => promptMode === JSON_PROMPT_MODE;
+
+export const CHESS_JSON_SYSTEM_PROMPT = "You are a chess engine. Reply with a single JSON object: {\"reasoning\": string, \"move\": string}.";
+
+// JSON schema for providers with native structured output
+export const MOVE_JSON_SCHEMA = {
+  type: "object",
+  properties: {
+    reasoning: { type: "string", description: "Short explanation of the choice" },
+    move: { type: "string", description: "The chosen move in standard algebraic notation" },
+  },
+  required: ["reasoning", "move"],
+};
+
+// Last line of every prompt: how we want the answer back
+const answerInstruction = (promptMode) => isJsonPromptMode(promptMode)
+  ? `Respond with ONLY a JSON object of the form {"reasoning": "<your reasoning>", "move": "<your move in standard algebraic notation>"}.`
+  : `Respond with ONLY your chosen move in standard algebraic notation (e.g., "e4", "Nf3", "O-O").`;
+
+// perspective: side the board is drawn for in the "rotated" format
+export const formatBoardState = (tracker, format = "fen", perspective = tracker.turn()) => {
   switch (format) {
     case "fen": return tracker.fen();
     case "pgn": return tracker.pgn();
     case "visual": return formatVisualBoard(tracker.getCurrentBoard());
+    case "uci": return formatUciMoves(tracker);
+    case "pieces": return formatPieceList(tracker.getCurrentBoard());
+    case "unicode": return formatVisualBoard(tracker.getCurrentBoard(), { glyphs: true });
+    case "rotated": return formatVisualBoard(tracker.getCurrentBoard(), { flipped: perspective === "b" });
+    case "fen_pgn": return `FEN: ${tracker.fen()}\nPGN: ${pgnMoveText(tracker) || "(no moves yet)"}`;
     default: return tracker.fen();
   }
 };
 
-const formatVisualBoard = (board) => {
+// PGN without the tag pairs or the trailing result marker
+const pgnMoveText = (tracker) => tracker.pgn()
+  .replace(/^\[.*\]\s*$/gm, "")
+  .replace(/\s*(\*|1-0|0-1|1\/2-1\/2)\s*$/, "")
+  .trim();
+
+const UNICODE_PIECES = {
+  K: "♔", Q: "♕", R: "♖", B: "♗", N: "♘", P: "♙",
+  k: "♚", q: "♛", r: "♜", b: "♝", n: "♞", p: "♟",
+};
+
+// glyphs: Unicode pieces instead of letters; flipped: Black's view (rank 1 at the top, h-file on the left)
+const formatVisualBoard = (board, { glyphs = false, flipped = false } = {}) => {
+  const files = flipped ? "h g f e d c b a" : "a b c d e f g h";
+  const rows = flipped ? [7, 6, 5, 4, 3, 2, 1, 0] : [0, 1, 2, 3, 4, 5, 6, 7];
+  const empty = glyphs ? "·" : ".";
+
   const lines = [];
-  lines.push("  a b c d e f g h");
+  lines.push(`  ${files}`);
   lines.push("  ---------------");
-  for (let row = 0; row < 8; row++) {
+  for (const row of rows) {
     const rank = 8 - row;
-    const pieces = board[row].map(p => p || ".").join(" ");
+    const squares = flipped ? [...board[row]].reverse() : board[row];
+    const pieces = squares.map(p => p ? (glyphs ? UNICODE_PIECES[p] : p) : empty).join(" ");
     lines.push(`${rank}|${pieces}|${rank}`);
   }
   lines.push("  ---------------");
-  lines.push("  a b c d e f g h");
+  lines.push(`  ${files}`);
   return lines.join("\n");
 };
 
-export const buildPrompt = (tracker, format = "fen") => {
-  const boardState = formatBoardState(tracker, format);
-  const turn = tracker.turn() === "w" ? "White" : "Black";
-  const moveNumber = Math.floor(tracker.totalMoves / 2) + 1;
+// "e2e4 e7e5 g1f3" - every move so far as from/to squares
+const formatUciMoves = (tracker) => {
+  const moves = tracker.getDetailedMoves();
+  const list = moves.length === 0 ? "(no moves yet)" : moves.map(m => `${m.from}${m.to}${m.promotion || ""}`).join(" ");
+  // Moves alone mean nothing without the position they started from
+  return tracker.startFen ? `Start position: ${tracker.startFen}\nMoves: ${list}` : list;
+};
 
-  return `You are playing chess as ${turn}. It is move ${moveNumber}.
+const PIECE_ORDER = "KQRBNP";
 
-Current position:
-${boardState}
+// "White: Ke1, Qd1, Ra1, ..., a2, b2" - pawns are written as bare squares
+const formatPieceList = (board) => {
+  const files = "abcdefgh";
+  const sides = { w: [], b: [] };
+  board.forEach((row, r) => row.forEach((piece, c) => {
+    if (!piece) return;
+    const type = piece.toUpperCase();
+    sides[piece === type ? "w" : "b"].push({ type, square: `${files[c]}${8 - r}` });
+  }));
 
-Legal moves: ${tracker.getLegalMoves().map(m => m.san).join(", ")}
+  const describe = (pieces) => pieces
+    .sort((a, b) => PIECE_ORDER.indexOf(a.type) - PIECE_ORDER.indexOf(b.type) || a.square.localeCompare(b.square))
+    .map(p => p.type === "P" ? p.square : `${p.type}${p.square}`)
+    .join(", ") || "(none)";
 
-Respond with ONLY your chosen move in standard algebraic notation (e.g., "e4", "Nf3", "O-O").`;
+  return `White: ${describe(sides.w)}\nBlack: ${describe(sides.b)}`;
 };
 
-export const buildInitialConversationPrompt = (aiColor, format = "fen") => {
-  const colorName = aiColor === "w" ? "White" : "Black";
-  const formatDesc = format === "fen" ? "FEN notation" : format === "pgn" ? "PGN move list" : "ASCII board";
-
-  return `You are playing chess as ${colorName}. 
-
-I will send you the game state in ${formatDesc} format. After each of my moves, you should respond with ONLY your chosen move in standard algebraic notation (e.g., "e4", "Nf3", "O-O", "Bxe5").
+const FORMAT_NAMES = {
+  fen: "FEN notation",
+  pgn: "PGN move list",
+  visual: "ASCII board",
+  uci: "UCI move list",
+  pieces: "piece list",
+  unicode: "Unicode board",
+  rotated: "ASCII board from your side",
+  fen_pgn: "FEN plus PGN",
+};
 
-Do not include any explanation or commentary - just the move. Let's begin!`;
+const PIECE_VALUES = { p: 1, n: 3, b: 3, r: 5, q: 9, k: 0 };
+
+const formatMaterial = (board) => {
+  let white = 0;
+  let black = 0;
+  for (const row of board) {
+    for (const piece of row) {
+      if (!piece) continue;
+      const value = PIECE_VALUES[piece.toLowerCase()] || 0;
+      if (piece === piece.toUpperCase()) white += value;
+      else black += value;
+    }
+  }
+  return `White ${white}, Black ${black}`;
 };
 
-export const buildConversationFollowUp = (tracker, format = "fen") => {
+const colorName = (color) => color === "w" ? "White" : "Black";
+
+// Everything a prompt template can refer to (see promptTemplates.js).
+// hints: { legalMoves, sideToMove, ... } for this prompt mode (see hintsForMode) - withheld hints come out as "".
+export const buildTemplateVars = (tracker, format = "fen", aiColor = tracker.turn(), promptMode = "full", hints = hintsForMode(null, promptMode)) => {
   const moves = tracker.getDetailedMoves();
   const lastMove = moves.length > 0 ? moves[moves.length - 1] : null;
 
-  if (!lastMove) return `It's your move.`;
+  const vars = {
+    color: colorName(aiColor),
+    board: formatBoardState(tracker, format, aiColor),
+    format_name: FORMAT_NAMES[format] || format,
+    fen: tracker.fen(),
+    pgn: tracker.pgn(),
+    ascii: formatVisualBoard(tracker.getCurrentBoard()),
+    legal_moves: tracker.getLegalMoves().map(m => m.san).join(", "),
+    last_move: lastMove ? lastMove.san : "",
+    recent_moves: moves.slice(-2).map(m => m.san).join(" "),
+    move_number: tracker.moveNumber,
+    answer_instruction: answerInstruction(promptMode),
+    side_to_move: colorName(tracker.turn()),
+    check_status: tracker.isCheck() ? `${colorName(tracker.turn())} is in check.` : "",
+    material: formatMaterial(tracker.getCurrentBoard()),
+  };
 
-  const recentMoves = moves.slice(-2).map(m => m.san).join(" ");
-  return `${recentMoves}
+  for (const hint of PROMPT_HINTS) {
+    if (!hints[hint.id]) vars[hint.variable] = "";
+  }
+  return vars;
+};
 
-Your move.`;
+export const buildPrompt = (tracker, format = "fen", promptMode = "full", template = null, hints = hintsForMode(null, promptMode)) => {
+  const type = isJsonPromptMode(promptMode) ? "json" : "full";
+  const vars = buildTemplateVars(tracker, format, tracker.turn(), promptMode, hints);
+  return renderTemplate(template || DEFAULT_TEMPLATES[type], vars);
 };
 
-export const buildSmartPrompt = (tracker, format = "fen", promptMode = "full", aiColor = "b") => {
+export const buildInitialConversationPrompt = (tracker, aiColor, format = "fen", template = null, hints = hintsForMode(null, "conversation")) => {
+  const vars = buildTemplateVars(tracker, format, aiColor, "conversation", hints);
+  return renderTemplate(template || DEFAULT_TEMPLATES.initial, vars);
+};
+
+export const buildConversationFollowUp = (tracker, format = "fen", aiColor = tracker.turn(), template = null, hints = hintsForMode(null, "conversation")) => {
+  const vars = buildTemplateVars(tracker, format, aiColor, "conversation", hints);
+  return renderTemplate(template || DEFAULT_TEMPLATES.followup, vars);
+};
+
+// templates: optional { full, initial, followup, json } bodies overriding the defaults
+// hints: which optional hints to include (see PROMPT_HINTS)
+export const buildSmartPrompt = (tracker, format = "fen", promptMode = "full", aiColor = "b", templates = {}, hints = hintsForMode(null, promptMode)) => {
   if (promptMode === "full") {
     return {
       type: "full",
-      content: buildPrompt(tracker, format)
+      content: buildPrompt(tracker, format, promptMode, templates.full, hints)
+    };
+  }
+
+  if (isJsonPromptMode(promptMode)) {
+    return {
+      type: "json",
+      content: buildPrompt(tracker, format, promptMode, templates.json, hints)
     };
   }
 
-  const totalMoves = tracker.totalMoves;
-  const isFirstAITurn = (aiColor === "w" && totalMoves === 0) || (aiColor === "b" && totalMoves === 1);
+  // Games can start from any position (and either side), so "first turn" means the AI hasn't moved yet.
+  // Moves of a preset opening line weren't the AI's.
+  const isFirstAITurn = !tracker.getDetailedMoves().slice(tracker.openingPlies || 0).some(m => m.color === aiColor);
 
   if (isFirstAITurn) {
-    const initial = buildInitialConversationPrompt(aiColor, format);
-    const boardState = formatBoardState(tracker, format);
-
     return {
       type: "initial",
-      content: `${initial}
-
-Current position:
-${boardState}`
+      content: buildInitialConversationPrompt(tracker, aiColor, format, templates.initial, hints)
     };
   }
 
   return {
     type: "followup",
-    content: buildConversationFollowUp(tracker, format)
+    content: buildConversationFollowUp(tracker, format, aiColor, templates.followup, hints)
   };
 };
 
+// Builds the message list actually sent to a provider: [{ role: "user" | "model", content }].
+// Full mode is stateless (one user message plus any retries). Conversation mode replays the earlier turns
+// from the conversation log so follow-ups like "e4 e5 / Your move." have context.
+// `retries` are the extra turns of the current move (bad reply + feedback) and go after the prompt.
+export const buildChatMessages = (tracker, format = "fen", { promptMode = "full", aiColor, history = [], retries = [], templates = {}, hints = hintsForMode(null, promptMode) } = {}) => {
+  const color = aiColor || tracker.turn();
+  const prompt = buildSmartPrompt(tracker, format, promptMode, color, templates, hints);
+  const current = { role: "user", content: prompt.content };
+  const earlier = promptMode === "conversation" ? history : [];
+
+  const messages = [];
+  for (const msg of [...earlier, current, ...retries]) {
+    // Errors and other UI-only entries never reach the model
+    if (msg.role !== "user" && msg.role !== "model") continue;
+    if (!msg.content) continue;
+
+    const last = messages[messages.length - 1];
+    if (last && last.role === msg.role) {
+      // Providers want strictly alternating turns, so squash repeats (e.g. after an error)
+      last.content = `${last.content}\n\n${msg.content}`;
+    } else {
+      messages.push({ role: msg.role, content: msg.content });
+    }
+  }
+
+  // Every provider expects the first turn to come from the user
+  while (messages.length > 0 && messages[0].role !== "user") messages.shift();
+  return messages;
+};
+
+// Feedback sent back to the model when its last reply didn't give us a playable move.
+// failure: { reason: "unparseable" } or { reason: "illegal", san }
+// Legal moves are only repeated when the legalMoves hint is on.
+export const buildRetryPrompt = (tracker, failure, promptMode = "full", hints = hintsForMode(null, promptMode)) => {
+  const problem = failure.reason === "unparseable"
+    ? "I could not find a chess move in your reply."
+    : `'${failure.san}' is not a legal move.`;
+  const legal = hints.legalMoves
+    ? ` Legal moves are: ${tracker.getLegalMoves().map(m => m.san).join(", ")}.`
+    : "";
+
+  return `${problem}${legal}
+
+${answerInstruction(promptMode)}`;
+};
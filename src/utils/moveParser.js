@@ -0,0 +1,224 @@
+// Pulls the model's intended move out of a free-form reply.
+//
+// Understands SAN ("Nf3", "exd5", "e8=Q"), sloppy SAN ("nf3", "e8Q", "Ngf3"), UCI ("g1f3", "e7e8q"),
+// long algebraic ("Ng1-f3", "e2xe4"), castling in any spelling ("O-O", "0-0", "o-o-o") and
+// JSON replies ({"move": "Nf3"}). Every candidate is checked against tracker.getLegalMoves().
+//
+// parseMoveFromResponse(text, tracker) -> {
+//   san,         // legal SAN when we found one, otherwise our best guess (may be illegal) or null
+//   legal,       // whether san is legal in the current position
+//   confidence,  // 0..1
+//   reason,      // short human-readable explanation of the choice
+//   candidates,  // every move-like token we saw, in reply order
+// }
+
+const TOKEN_PATTERN = /(?<![\w-])(?:[Oo0]-[Oo0](?:-[Oo0])?|[KQRBNkqrbn]?[a-h]?[1-8]?[-x]?[a-h][1-8](?:=?[QRBNqrbn])?)(?![\w-])/g;
+const CASTLE_PATTERN = /^[Oo0]-[Oo0](-[Oo0])?$/;
+const COORDINATE_PATTERN = /^([KQRBNkqrbn])?([a-h][1-8])[-x]?([a-h][1-8])=?([QRBNqrbn])?$/;
+const SAN_PATTERN = /^([KQRBNkqrbn])?([a-h])?([1-8])?(x)?([a-h][1-8])=?([QRBNqrbn])?$/;
+
+// Phrases right before a move that mean "this is my answer" / "not this one"
+// (quotes allowed so a truncated/malformed JSON reply's "move": "Nf3" still counts)
+const CHOICE_MARKER = /(my move|i(?:'ll| will)? play|i choose|i pick|best move|final answer|answer|move)["']?\s*(?:is|:|=|-)?\s*["']?$/i;
+const NEGATION_MARKER = /\b(not|instead of|rather than|avoid|avoiding|don't|dont|never|bad|blunder|mistake)\b[^.!?\n]{0,12}$/i;
+
+const JSON_MOVE_KEYS = ["move", "san", "uci", "bestMove", "best_move"];
+
+const stripChecks = (san) => san.replace(/[+#!?]/g, "");
+
+// Builds a SAN string for a move that isn't legal, so chaos mode can still force it
+const toIllegalSan = ({ piece, fromFile, fromRank, isCapture, to, promotion }) =>
+  `${piece && piece !== "p" ? piece.toUpperCase() : ""}${fromFile || ""}${fromRank || ""}${isCapture ? "x" : ""}${to}${promotion ? "=" + promotion.toUpperCase() : ""}`;
+
+const matchPromotion = (move, promotion) =>
+  promotion ? move.promotion === promotion : (!move.promotion || move.promotion === "q");
+
+// Resolves one move-like token to { san, legal, notation } or null
+export const resolveMoveToken = (token, legalMoves, board = null) => {
+  const clean = stripChecks(token.trim());
+
+  if (CASTLE_PATTERN.test(clean)) {
+    const san = clean.split("-").length === 3 ? "O-O-O" : "O-O";
+    return { san, legal: legalMoves.some(m => stripChecks(m.san) === san), notation: "castle" };
+  }
+
+  // Explicit from-square: UCI or long algebraic
+  const coord = clean.match(COORDINATE_PATTERN);
+  if (coord) {
+    const [, pieceLetter, from, to, promo] = coord;
+    const promotion = promo ? promo.toLowerCase() : null;
+    const legal = legalMoves.find(m => m.from === from && m.to === to && matchPromotion(m, promotion));
+    if (legal) {
+      return { san: legal.san, legal: true, notation: pieceLetter ? "lan" : "uci" };
+    }
+
+    // Fall back to whatever stands on the from-square for the piece letter
+    const files = "abcdefgh";
+    const onBoard = board ? board[8 - parseInt(from[1])][files.indexOf(from[0])] : null;
+    const piece = (pieceLetter || onBoard || "p").toLowerCase();
+    const target = board ? board[8 - parseInt(to[1])][files.indexOf(to[0])] : null;
+    return {
+      san: toIllegalSan({ piece, fromFile: from[0], fromRank: from[1], isCapture: Boolean(target), to, promotion }),
+      legal: false,
+      notation: pieceLetter ? "lan" : "uci",
+    };
+  }
+
+  const sanMatch = clean.match(SAN_PATTERN);
+  if (!sanMatch) return null;
+
+  const [, pieceLetter, fromFile, fromRank, x, to, promo] = sanMatch;
+  const promotion = promo ? promo.toLowerCase() : null;
+
+  // Lowercase "b" could be a bishop or the b-pawn ("bxc3"), try both.
+  // Only a pawn reading can land on the a/c files, so that one goes first there.
+  const readings = [];
+  if (!pieceLetter) {
+    readings.push({ piece: "p", fromFile, fromRank });
+  } else if (pieceLetter === "b" && !fromFile) {
+    const bishop = { piece: "b", fromFile, fromRank };
+    const pawn = { piece: "p", fromFile: "b", fromRank };
+    readings.push(...(to[0] === "a" || to[0] === "c" ? [pawn, bishop] : [bishop, pawn]));
+  } else {
+    readings.push({ piece: pieceLetter.toLowerCase(), fromFile, fromRank });
+  }
+
+  for (const reading of readings) {
+    const matches = legalMoves.filter(m =>
+      m.piece === reading.piece &&
+      m.to === to &&
+      (!reading.fromFile || m.from[0] === reading.fromFile) &&
+      (!reading.fromRank || m.from[1] === reading.fromRank) &&
+      matchPromotion(m, promotion)
+    );
+    if (matches.length === 1) return { san: matches[0].san, legal: true, notation: "san" };
+    if (matches.length > 1) {
+      // Under-specified ("Nd2" with two knights), still legal - take the first
+      return { san: matches[0].san, legal: true, notation: "san", ambiguous: true };
+    }
+  }
+
+  return { san: toIllegalSan({ ...readings[0], isCapture: Boolean(x), to, promotion }), legal: false, notation: "san" };
+};
+
+// { move, reasoning } from a JSON reply (bare or in a ```json fence), or null
+export const extractJsonReply = (text) => {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidates = [];
+  if (fenced) candidates.push(fenced[1]);
+  const braces = text.match(/\{[\s\S]*\}/);
+  if (braces) candidates.push(braces[0]);
+
+  for (const candidate of candidates) {
+    try {
+      const data = JSON.parse(candidate);
+      if (!data || typeof data !== "object") continue;
+      const key = JSON_MOVE_KEYS.find(k => typeof data[k] === "string");
+      if (!key) continue;
+      return { move: data[key], reasoning: typeof data.reasoning === "string" ? data.reasoning : null, data };
+    } catch {
+      // Not JSON (or malformed), try the next candidate
+    }
+  }
+  return null;
+};
+
+const scanTokens = (text) => {
+  // Markdown bold/italic spans count as emphasis, then the markers themselves are blanked out
+  const emphasized = [];
+  for (const m of text.matchAll(/(\*\*|__)(.+?)\1/g)) {
+    emphasized.push([m.index, m.index + m[0].length]);
+  }
+  const plain = text.replace(/[*_`]/g, " ");
+
+  const tokens = [];
+  for (const m of plain.matchAll(TOKEN_PATTERN)) {
+    const start = m.index;
+    const before = plain.slice(Math.max(0, start - 40), start);
+    const line = plain.slice(plain.lastIndexOf("\n", start) + 1).split("\n")[0].trim();
+
+    tokens.push({
+      token: m[0],
+      index: start,
+      emphasized: emphasized.some(([a, b]) => start >= a && start < b),
+      marked: CHOICE_MARKER.test(before),
+      negated: NEGATION_MARKER.test(before),
+      standalone: stripChecks(line.replace(/^\d+\.+\s*/, "").replace(/[.,;:]$/, "")) === stripChecks(m[0]),
+    });
+  }
+  return tokens;
+};
+
+export const parseMoveFromResponse = (text, tracker) => {
+  const empty = { san: null, legal: false, confidence: 0, reason: "No move found in the reply.", candidates: [] };
+  if (typeof text !== "string" || !text.trim()) return empty;
+
+  const legalMoves = tracker.getLegalMoves();
+  const board = tracker.getCurrentBoard();
+
+  const json = extractJsonReply(text);
+  if (json) {
+    const resolved = resolveMoveToken(json.move, legalMoves, board);
+    if (resolved) {
+      return {
+        san: resolved.san,
+        legal: resolved.legal,
+        confidence: resolved.legal ? 1 : 0.3,
+        reason: resolved.legal ? "Taken from the JSON \"move\" field." : "JSON \"move\" field is not legal here.",
+        candidates: [{ token: json.move, ...resolved }],
+        reasoning: json.reasoning,
+      };
+    }
+  }
+
+  const tokens = scanTokens(text);
+  const candidates = [];
+  tokens.forEach((t, i) => {
+    const resolved = resolveMoveToken(t.token, legalMoves, board);
+    if (!resolved) return;
+
+    let score = 0;
+    if (resolved.legal) score += 5;
+    if (t.marked) score += 3;
+    if (t.standalone) score += 3;
+    if (t.emphasized) score += 2;
+    if (t.negated) score -= 4;
+    // Conclusions tend to come last
+    score += 0.5 * (i / Math.max(1, tokens.length - 1));
+
+    candidates.push({ ...t, ...resolved, score });
+  });
+
+  if (candidates.length === 0) return empty;
+
+  const ranked = [...candidates].sort((a, b) => b.score - a.score);
+  const best = ranked[0];
+  const distinctLegal = new Set(candidates.filter(c => c.legal).map(c => c.san));
+  const runnerUp = ranked.find(c => c.san !== best.san);
+
+  let confidence = best.legal ? (distinctLegal.size === 1 ? 0.9 : 0.6) : 0.2;
+  if (best.marked || best.standalone || best.emphasized) confidence += 0.1;
+  if (best.ambiguous) confidence -= 0.1;
+  if (runnerUp && best.score - runnerUp.score < 1) confidence -= 0.2;
+  confidence = Math.round(Math.min(1, Math.max(0, confidence)) * 100) / 100;
+
+  const why = [];
+  if (!best.legal) why.push("no legal move found, best guess");
+  else if (distinctLegal.size === 1) why.push("only legal move mentioned");
+  if (best.marked) why.push("marked as the chosen move");
+  if (best.standalone) why.push("on its own line");
+  if (best.emphasized) why.push("emphasized");
+  if (best.notation !== "san") why.push(`read as ${best.notation.toUpperCase()} "${best.token}"`);
+  if (best.ambiguous) why.push("ambiguous, first match taken");
+  if (why.length === 0) why.push(best.legal ? "highest ranked legal move" : "best guess");
+  const rejected = candidates.filter(c => c.negated).map(c => c.token);
+  if (rejected.length) why.push(`ignored negated ${rejected.join(", ")}`);
+
+  return {
+    san: best.san,
+    legal: best.legal,
+    confidence,
+    reason: why.join("; "),
+    candidates: candidates.map(({ token, san, legal, notation }) => ({ token, san, legal, notation })),
+  };
+};
@@ -0,0 +1,72 @@
+import { describe, expect, it } from "vitest";
+import { ChessTracker } from "./ChessTracker";
+import { parseMoveFromResponse } from "./moveParser";
+
+const CASTLING_READY = ["e4", "e5", "Nf3", "Nc6", "Bc4", "Nf6"];
+const PROMOTION_FEN = "8/4P3/8/8/8/8/k7/4K3 w - - 0 1";
+
+const parse = (text, tracker = new ChessTracker()) => parseMoveFromResponse(text, tracker);
+
+describe("parseMoveFromResponse", () => {
+  it.each([
+    ["Nf3", "Nf3"],
+    ["nf3", "Nf3"],
+    ["g1f3", "Nf3"],
+    ["Ng1-f3", "Nf3"],
+    ["e2xe4", "e4"],
+  ])("reads %s as %s", (text, san) => {
+    expect(parse(text)).toMatchObject({ san, legal: true });
+  });
+
+  it.each(["O-O", "0-0", "o-o"])("reads castling spelled %s", (text) => {
+    expect(parse(text, new ChessTracker(CASTLING_READY))).toMatchObject({ san: "O-O", legal: true });
+  });
+
+  it.each([
+    ["e8=Q", "e8=Q"],
+    ["e8Q+", "e8=Q"],
+    ["e7e8n", "e8=N"],
+  ])("reads the promotion %s as %s", (text, san) => {
+    expect(parse(text, new ChessTracker([], PROMOTION_FEN))).toMatchObject({ san, legal: true });
+  });
+
+  it("skips a negated move", () => {
+    const result = parse("I think Nf3 is best, not Ng5");
+    expect(result.san).toBe("Nf3");
+    expect(result.reason).toContain("ignored negated Ng5");
+
+    expect(parse("I would not play e4 here. d4 is more solid.").san).toBe("d4");
+  });
+
+  it("prefers the move marked as the answer and emphasized", () => {
+    const result = parse("Options: e4, d4, c4. My move is **c4**.");
+    expect(result.san).toBe("c4");
+    expect(result.reason).toContain("marked as the chosen move");
+    expect(result.reason).toContain("emphasized");
+  });
+
+  it("takes the move and reasoning from a JSON reply", () => {
+    expect(parse('{"reasoning": "control the centre", "move": "e4"}')).toMatchObject({
+      san: "e4",
+      legal: true,
+      confidence: 1,
+      reasoning: "control the centre",
+    });
+    expect(parse('```json\n{"move": "g1f3"}\n```').san).toBe("Nf3");
+  });
+
+  it("is less sure when several legal moves are mentioned", () => {
+    expect(parse("Nf3").confidence).toBeGreaterThan(parse("I would not play e4 here. d4 is more solid.").confidence);
+  });
+
+  it("returns an illegal best guess with low confidence", () => {
+    const result = parse("Qh5");
+    expect(result).toMatchObject({ san: "Qh5", legal: false });
+    expect(result.confidence).toBeLessThan(0.5);
+  });
+
+  it("finds nothing in a reply without a move", () => {
+    expect(parse("I resign.")).toMatchObject({ san: null, legal: false, confidence: 0 });
+    expect(parse("")).toMatchObject({ san: null, candidates: [] });
+  });
+});
@@ -0,0 +1,129 @@
+// PGN text built from our own move list. chess.js forgets its history once a move
+// has been forced (the position is reloaded from FEN), so we can't lean on chess.pgn().
+
+// Seven Tag Roster, always written first and in this order
+const ROSTER = ["Event", "Site", "Date", "Round", "White", "Black", "Result"];
+
+const RESULTS = ["1-0", "0-1", "1/2-1/2", "*"];
+
+// Move suffixes and the NAGs they stand for
+const SUFFIX_NAGS = { "!": "$1", "?": "$2", "!!": "$3", "??": "$4", "!?": "$5", "?!": "$6" };
+
+const escapeTag = (value) => String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+
+// "2024.05.01" - PGN's date format
+export const pgnDate = (date = new Date()) =>
+  `${date.getFullYear()}.${String(date.getMonth() + 1).padStart(2, "0")}.${String(date.getDate()).padStart(2, "0")}`;
+
+// A {comment} split into words so long comments wrap like the rest of the movetext.
+// "}" would end the comment early, so it's swapped for ")".
+const commentTokens = (comment) => {
+  const words = String(comment).replace(/\}/g, ")").split(/\s+/).filter(Boolean);
+  if (words.length === 0) return [];
+  words[0] = `{${words[0]}`;
+  words[words.length - 1] = `${words[words.length - 1]}}`;
+  return words;
+};
+
+// moves: SAN strings or { san, nags?, comments? } records (tracker.getDetailedMoves() works as-is)
+// result: "1-0" | "0-1" | "1/2-1/2" | "*"
+// startFen: set when the game didn't start from the normal position (adds SetUp/FEN, numbers moves from it)
+export const formatPgn = ({ headers = {}, moves = [], result = "*", startFen = null }) => {
+  const tags = {
+    Event: "?", Site: "?", Date: "????.??.??", Round: "?", White: "?", Black: "?",
+    ...(startFen ? { SetUp: "1", FEN: startFen } : {}),
+    ...headers,
+    Result: result,
+  };
+  const tagLines = [
+    ...ROSTER.map(key => `[${key} "${escapeTag(tags[key])}"]`),
+    ...Object.keys(tags)
+      .filter(key => !ROSTER.includes(key) && tags[key] !== undefined && tags[key] !== null)
+      .map(key => `[${key} "${escapeTag(tags[key])}"]`),
+  ];
+
+  const [, turn = "w", , , , fullmove = "1"] = (startFen || "").split(/\s+/);
+  const offset = turn === "b" ? 1 : 0;
+
+  const tokens = [];
+  let afterComment = false;
+  moves.forEach((move, i) => {
+    const { san, nags = [], comments = [] } = typeof move === "string" ? { san: move } : move;
+    const ply = i + offset;
+    const number = (parseInt(fullmove) || 1) + Math.floor(ply / 2);
+    // Move numbers stay on the same line as their move. Black only gets one ("3...") when
+    // it opens the movetext or follows a comment.
+    if (ply % 2 === 0) tokens.push(`${number}. ${san}`);
+    else tokens.push(afterComment || i === 0 ? `${number}... ${san}` : san);
+    tokens.push(...nags);
+    comments.forEach(comment => tokens.push(...commentTokens(comment)));
+    afterComment = comments.length > 0;
+  });
+  tokens.push(result);
+
+  // Movetext lines stay under 80 characters
+  const lines = [];
+  let line = "";
+  for (const token of tokens) {
+    if (line && line.length + token.length + 1 > 79) {
+      lines.push(line);
+      line = token;
+    } else {
+      line = line ? `${line} ${token}` : token;
+    }
+  }
+  if (line) lines.push(line);
+
+  return `${tagLines.join("\n")}\n\n${lines.join("\n")}\n`;
+};
+
+// Tag pair, {comment}, ;comment, % escape line, variation bracket, NAG, move number, or a move/result
+const TOKEN_PATTERN = /\[\s*(\w+)\s+"((?:[^"\\]|\\.)*)"\s*\]|\{([^}]*)\}?|;[^\n]*|^%[^\n]*|[()]|\$\d+|\d+\.+|[^\s{}()[\];$]+/gm;
+
+// Reads the first game of a PGN file.
+// -> { headers: { White: "...", ... }, moves: [{ san, nags, comments }], result }
+// Variations are skipped; comments and NAGs stay with the move they follow.
+export const parsePgn = (text) => {
+  const headers = {};
+  const moves = [];
+  let result = "*";
+  let depth = 0;
+  let inMovetext = false;
+
+  for (const match of String(text).matchAll(TOKEN_PATTERN)) {
+    const [token, tagName, tagValue, comment] = match;
+
+    if (tagName) {
+      // A tag after the moves is the next game's header
+      if (inMovetext) break;
+      headers[tagName] = tagValue.replace(/\\(.)/g, "$1");
+      continue;
+    }
+    if (token === "(") { depth++; continue; }
+    if (token === ")") { depth = Math.max(0, depth - 1); continue; }
+    if (depth > 0 || token.startsWith(";") || token.startsWith("%") || /^\d+\.+$/.test(token)) continue;
+
+    const last = moves[moves.length - 1];
+    if (comment !== undefined) {
+      // Comments before the first move have no move to belong to
+      if (last && comment.trim()) last.comments.push(comment.trim().replace(/\s+/g, " "));
+      continue;
+    }
+    if (token.startsWith("$")) {
+      if (last) last.nags.push(token);
+      continue;
+    }
+
+    inMovetext = true;
+    if (RESULTS.includes(token)) {
+      result = token;
+      break;
+    }
+
+    // "e4!?" -> san "e4" + $5
+    const [, san, suffix] = token.match(/^(.*?)([!?]{0,2})$/);
+    moves.push({ san, nags: SUFFIX_NAGS[suffix] ? [SUFFIX_NAGS[suffix]] : [], comments: [] });
+  }
+
+  return { headers, moves, result };
+};
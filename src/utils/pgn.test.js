@@ -0,0 +1,39 @@
+import { describe, expect, it } from "vitest";
+import { formatPgn, parsePgn } from "./pgn";
+
+describe("formatPgn / parsePgn", () => {
+  it("escapes quotes and backslashes in tags and reads them back", () => {
+    const name = 'Mock "the \\ one"';
+    const pgn = formatPgn({ headers: { White: name }, moves: ["e4"], result: "1-0" });
+
+    expect(pgn).toContain('[White "Mock \\"the \\\\ one\\""]');
+    expect(parsePgn(pgn).headers.White).toBe(name);
+  });
+
+  it("keeps NAGs and comments with their move", () => {
+    const pgn = formatPgn({
+      moves: [
+        { san: "e4", nags: ["$1"], comments: ["a {braced} comment"] },
+        { san: "e5", nags: [], comments: [] },
+      ],
+    });
+    const { moves, result } = parsePgn(pgn);
+
+    expect(moves).toEqual([
+      { san: "e4", nags: ["$1"], comments: ["a {braced) comment"] },
+      { san: "e5", nags: [], comments: [] },
+    ]);
+    expect(result).toBe("*");
+  });
+
+  it("reads move suffixes as NAGs", () => {
+    expect(parsePgn("1. e4!? e5?? *").moves.map(m => m.nags)).toEqual([["$5"], ["$4"]]);
+  });
+
+  it("numbers moves from a set-up position with Black to move", () => {
+    const pgn = formatPgn({ moves: ["e5", "Nf3"], startFen: "rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1" });
+
+    expect(pgn).toContain('[SetUp "1"]');
+    expect(pgn).toContain("1... e5 2. Nf3 *");
+  });
+});
@@ -0,0 +1,69 @@
+// Board editor helpers. Boards are 8x8 arrays of piece letters (rank 8 first), the same
+// shape as tracker.getCurrentBoard(); castling is { K, Q, k, q } booleans.
+
+export const STANDARD_FEN = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1";
+
+export const emptyBoard = () => Array.from({ length: 8 }, () => Array(8).fill(null));
+
+// King + rook home squares for each castling right: [king (row, col), rook (row, col)]
+const CASTLING_HOMES = {
+  K: [[7, 4], [7, 7]],
+  Q: [[7, 4], [7, 0]],
+  k: [[0, 4], [0, 7]],
+  q: [[0, 4], [0, 0]],
+};
+
+// Which castling rights the board still allows (king and rook on their home squares)
+export const availableCastling = (board) => Object.fromEntries(
+  Object.entries(CASTLING_HOMES).map(([right, [[kr, kc], [rr, rc]]]) => {
+    const white = right === right.toUpperCase();
+    return [right, board[kr][kc] === (white ? "K" : "k") && board[rr][rc] === (white ? "R" : "r")];
+  })
+);
+
+// Rights that aren't available any more are dropped rather than producing a bad FEN
+export const boardToFen = (board, { turn = "w", castling = {} } = {}) => {
+  const placement = board.map(row => {
+    let rank = "";
+    let empty = 0;
+    for (const piece of row) {
+      if (!piece) {
+        empty++;
+        continue;
+      }
+      if (empty) rank += empty;
+      rank += piece;
+      empty = 0;
+    }
+    return empty ? rank + empty : rank;
+  }).join("/");
+
+  const available = availableCastling(board);
+  const rights = ["K", "Q", "k", "q"].filter(r => castling[r] && available[r]).join("") || "-";
+  return `${placement} ${turn} ${rights} - 0 1`;
+};
+
+// -> { board, turn, castling }, or null when the placement can't be read
+export const fenToPosition = (fen) => {
+  const [placement, turn = "w", rights = "-"] = String(fen).trim().split(/\s+/);
+  const rows = placement ? placement.split("/") : [];
+  if (rows.length !== 8) return null;
+
+  const board = [];
+  for (const row of rows) {
+    const squares = [];
+    for (const ch of row) {
+      if (/[1-8]/.test(ch)) squares.push(...Array(parseInt(ch)).fill(null));
+      else if (/[pnbrqkPNBRQK]/.test(ch)) squares.push(ch);
+      else return null;
+    }
+    if (squares.length !== 8) return null;
+    board.push(squares);
+  }
+
+  return {
+    board,
+    turn: turn === "b" ? "b" : "w",
+    castling: { K: rights.includes("K"), Q: rights.includes("Q"), k: rights.includes("k"), q: rights.includes("q") },
+  };
+};
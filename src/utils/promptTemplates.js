@@ -0,0 +1,152 @@
+// Prompt wording as editable templates.
+//
+// Placeholders look like {{fen}}. Sections render only when a variable is non-empty:
+//   {{#last_move}}Last move: {{last_move}}{{/last_move}}
+// and inverted sections only when it is empty:
+//   {{^last_move}}No moves yet.{{/last_move}}
+// Unknown placeholders are left as-is so typos show up in the preview.
+
+export const PROMPT_TYPES = [
+  { id: "full", name: "Full", description: "Sent every turn in Full Prompt mode" },
+  { id: "initial", name: "Initial", description: "First message in Conversation mode" },
+  { id: "followup", name: "Follow-up", description: "Every later message in Conversation mode" },
+  { id: "json", name: "JSON", description: "Sent every turn in Structured JSON mode" },
+];
+
+export const TEMPLATE_VARIABLES = [
+  { id: "color", description: "Side the AI plays (White/Black)" },
+  { id: "board", description: "Position in the selected query format" },
+  { id: "format_name", description: "Name of the selected query format" },
+  { id: "fen", description: "FEN string" },
+  { id: "pgn", description: "PGN move list" },
+  { id: "ascii", description: "ASCII board" },
+  { id: "legal_moves", description: "Comma-separated legal moves" },
+  { id: "last_move", description: "Last move played (SAN)" },
+  { id: "recent_moves", description: "The last two moves (SAN)" },
+  { id: "move_number", description: "Current full-move number" },
+  { id: "answer_instruction", description: "How to reply (plain move or JSON)" },
+  { id: "side_to_move", description: "Side to move (White/Black)" },
+  { id: "check_status", description: "Check warning, empty when not in check" },
+  { id: "material", description: "Material count for both sides" },
+];
+
+// Optional hints we can withhold to measure how much each one helps.
+// A withheld hint renders as an empty variable, so {{#var}} sections drop out.
+export const PROMPT_HINTS = [
+  { id: "legalMoves", variable: "legal_moves", name: "Legal moves", description: "List every legal move" },
+  { id: "sideToMove", variable: "side_to_move", name: "Side to move", description: "Say whose turn it is" },
+  { id: "moveNumber", variable: "move_number", name: "Move number", description: "Current full-move number" },
+  { id: "lastMove", variable: "last_move", name: "Last move", description: "The opponent's last move" },
+  { id: "checkStatus", variable: "check_status", name: "Check status", description: "Warn when in check" },
+  { id: "material", variable: "material", name: "Material count", description: "Material points for each side" },
+];
+
+// Full-mode prompts always listed legal moves and the move number
+const FULL_MODE_HINTS = {
+  legalMoves: true,
+  sideToMove: false,
+  moveNumber: true,
+  lastMove: false,
+  checkStatus: false,
+  material: false,
+};
+
+// Hints are set per prompt mode: { full, json, conversation }. Conversation mode starts
+// with none, so a chat isn't re-sent the legal moves every turn unless asked to.
+export const DEFAULT_PROMPT_HINTS = {
+  full: FULL_MODE_HINTS,
+  json: FULL_MODE_HINTS,
+  conversation: Object.fromEntries(PROMPT_HINTS.map(h => [h.id, false])),
+};
+
+// The hints one prompt mode uses, defaults filling any gaps. Records and configs from
+// before hints were per mode hold a single flat set, used for every mode.
+export const hintsForMode = (promptHints, promptMode = "full") => {
+  const mode = promptMode in DEFAULT_PROMPT_HINTS ? promptMode : "full";
+  const isFlat = PROMPT_HINTS.some(h => h.id in (promptHints || {}));
+  return { ...DEFAULT_PROMPT_HINTS[mode], ...(isFlat ? promptHints : promptHints?.[mode]) };
+};
+
+// Only the modes actually played are worth keeping with a game: { [mode]: hints }
+export const hintsInUse = (promptHints, promptModes) =>
+  Object.fromEntries([...new Set(promptModes)].map(mode => [mode, hintsForMode(promptHints, mode)]));
+
+// Hint lines shared by every template, each dropped when its hint is withheld
+const HINT_LINES = `{{#side_to_move}}
+{{side_to_move}} to move.{{/side_to_move}}{{#last_move}}
+Last move: {{last_move}}{{/last_move}}{{#check_status}}
+{{check_status}}{{/check_status}}{{#material}}
+Material: {{material}}{{/material}}{{#legal_moves}}
+
+Legal moves: {{legal_moves}}{{/legal_moves}}`;
+
+const FULL_TEMPLATE = `You are playing chess as {{color}}.{{#move_number}} It is move {{move_number}}.{{/move_number}}
+
+Current position:
+{{board}}
+${HINT_LINES}
+
+{{answer_instruction}}`;
+
+export const DEFAULT_TEMPLATES = {
+  full: FULL_TEMPLATE,
+  json: FULL_TEMPLATE,
+  initial: `You are playing chess as {{color}}.
+
+I will send you the game state in {{format_name}} format. After each of my moves, you should respond with ONLY your chosen move in standard algebraic notation (e.g., "e4", "Nf3", "O-O", "Bxe5").
+
+Do not include any explanation or commentary - just the move. Let's begin!
+
+Current position:
+{{board}}
+${HINT_LINES}`,
+  followup: `{{#recent_moves}}{{recent_moves}}
+{{/recent_moves}}${HINT_LINES}
+
+{{#recent_moves}}Your move.{{/recent_moves}}{{^recent_moves}}It's your move.{{/recent_moves}}`,
+};
+
+export const renderTemplate = (template, vars) => template
+  .replace(/\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g, (match, kind, name, body) => {
+    const isSet = vars[name] !== undefined && vars[name] !== null && vars[name] !== "";
+    return (kind === "#") === isSet ? body : "";
+  })
+  .replace(/\{\{(\w+)\}\}/g, (match, name) =>
+    vars[name] !== undefined && vars[name] !== null ? String(vars[name]) : match
+  )
+  // Dropped sections leave blank lines behind
+  .replace(/\n{3,}/g, "\n\n")
+  .trim();
+
+// Saved presets + which preset each prompt type uses, kept in localStorage.
+// store: { presets: [{ name, type, body }], selection: { full: "My preset", ... } }
+const STORAGE_KEY = "chessllm.promptTemplates";
+
+export const loadTemplateStore = () => {
+  try {
+    if (typeof localStorage === "undefined") return { presets: [], selection: {} };
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return {
+      presets: Array.isArray(stored?.presets) ? stored.presets : [],
+      selection: stored?.selection || {},
+    };
+  } catch {
+    return { presets: [], selection: {} };
+  }
+};
+
+export const saveTemplateStore = (store) => {
+  if (typeof localStorage === "undefined") return;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+};
+
+// { full: body, ... } for every prompt type that has a saved preset selected
+export const resolveTemplates = (store) => {
+  const templates = {};
+  for (const { id } of PROMPT_TYPES) {
+    const name = store.selection[id];
+    const preset = name && store.presets.find(p => p.type === id && p.name === name);
+    if (preset) templates[id] = preset.body;
+  }
+  return templates;
+};
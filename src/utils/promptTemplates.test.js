@@ -0,0 +1,55 @@
+import { describe, expect, it } from "vitest";
+import { ChessTracker } from "./ChessTracker";
+import { buildSmartPrompt } from "./modelhandler";
+import { DEFAULT_PROMPT_HINTS, hintsForMode, hintsInUse } from "./promptTemplates";
+
+// Black (the AI) to move after 1.e4 - the first prompt, then a follow-up after 1...e5 2.Nf3
+const conversationPrompts = (promptHints) => {
+  const tracker = new ChessTracker(["e4"]);
+  const hints = hintsForMode(promptHints, "conversation");
+  const initial = buildSmartPrompt(tracker, "fen", "conversation", "b", {}, hints);
+  tracker.makeMoveFromSan("e5");
+  tracker.makeMoveFromSan("Nf3");
+  return { initial, followup: buildSmartPrompt(tracker, "fen", "conversation", "b", {}, hints) };
+};
+
+describe("prompt hints", () => {
+  it("lists legal moves in full prompts by default", () => {
+    const tracker = new ChessTracker(["e4"]);
+    const prompt = buildSmartPrompt(tracker, "fen", "full", "b", {}, hintsForMode(DEFAULT_PROMPT_HINTS, "full"));
+
+    expect(prompt.content).toContain("Legal moves:");
+  });
+
+  it("keeps conversation prompts hint-free by default", () => {
+    const { initial, followup } = conversationPrompts(DEFAULT_PROMPT_HINTS);
+
+    expect(followup.type).toBe("followup");
+    expect(initial.content).not.toContain("Legal moves:");
+    expect(followup.content).not.toContain("Legal moves:");
+    expect(followup.content).toContain("Your move.");
+  });
+
+  it("sends the conversation hints that are switched on", () => {
+    const { initial, followup } = conversationPrompts({
+      ...DEFAULT_PROMPT_HINTS,
+      conversation: { ...DEFAULT_PROMPT_HINTS.conversation, legalMoves: true, sideToMove: true },
+    });
+
+    expect(initial.content).toContain("Legal moves:");
+    expect(followup.content).toContain("Legal moves:");
+    expect(followup.content).toContain("Black to move.");
+    expect(followup.content).not.toContain("Material:");
+  });
+
+  it("reads an old flat hint set as applying to every mode", () => {
+    const flat = { ...DEFAULT_PROMPT_HINTS.full, material: true };
+
+    expect(hintsForMode(flat, "conversation").material).toBe(true);
+    expect(hintsForMode(flat, "json").legalMoves).toBe(true);
+  });
+
+  it("records only the modes in play", () => {
+    expect(Object.keys(hintsInUse(DEFAULT_PROMPT_HINTS, ["conversation", "conversation"]))).toEqual(["conversation"]);
+  });
+});
@@ -0,0 +1,62 @@
+// Registry of model backends. Each handler in ./handlers registers itself:
+//
+//   registerProvider({
+//     id: "openai",                 // unique provider id
+//     name: "OpenAI",               // shown under the model name in settings
+//     models: [{ id: "gpt-4", name: "GPT-4" }],
+//     init: async (modelId) => boolean,
+//     getMove: async (tracker, modelId, queryFormat, options) => ({ raw, san }) or ({ error }) when the request fails,
+//     config: [{ key: "OPENAI_API_KEY", required: true, description: "..." }], // keys.json entries
+//     order: 10,                    // optional, lower sorts first in the model grid
+//     fetchModels: async () => [{ id, name }], // optional, for providers whose model list is dynamic
+//     matchesModel: (modelId) => boolean,       // optional, claim ids before fetchModels has run
+//   });
+
+const providers = new Map();
+
+export const registerProvider = (provider) => {
+  if (!provider || !provider.id) {
+    throw new Error("registerProvider: provider needs an id");
+  }
+  if (typeof provider.getMove !== "function") {
+    throw new Error(`registerProvider: provider "${provider.id}" needs a getMove function`);
+  }
+
+  providers.set(provider.id, {
+    name: provider.id,
+    models: [],
+    config: [],
+    order: 100,
+    ...provider,
+  });
+};
+
+export const getProvider = (id) => providers.get(id) || null;
+
+export const getProviders = () =>
+  [...providers.values()].sort((a, b) => a.order - b.order);
+
+export const getProviderForModel = (modelId) =>
+  getProviders().find(p =>
+    p.models.some(m => m.id === modelId) || (p.matchesModel && p.matchesModel(modelId))
+  ) || null;
+
+// Re-queries providers with a dynamic model list. A provider that can't be reached just ends up
+// with no models, it never breaks the others.
+export const refreshProviderModels = async () => {
+  const dynamic = getProviders().filter(p => typeof p.fetchModels === "function");
+  await Promise.all(dynamic.map(async (p) => {
+    try {
+      p.models = await p.fetchModels();
+    } catch (e) {
+      console.warn(`[ProviderRegistry] Could not list models for ${p.id}:`, e.message);
+      p.models = [];
+    }
+  }));
+};
+
+// Flat list for the settings model grid
+export const listModels = () =>
+  getProviders().flatMap(p =>
+    p.models.map(m => ({ ...m, provider: p.id, providerName: p.name }))
+  );
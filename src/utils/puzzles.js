@@ -0,0 +1,191 @@
+import { ChessTracker } from "./ChessTracker";
+import { getMove, buildSmartPrompt } from "./modelhandler";
+import { DEFAULT_PROMPT_HINTS, hintsForMode } from "./promptTemplates";
+
+// Tactics benchmark: does the model find the puzzle's solution?
+//
+// Puzzles come in the Lichess puzzle database CSV format:
+//   PuzzleId,FEN,Moves,Rating,RatingDeviation,Popularity,NbPlays,Themes,GameUrl,OpeningTags
+// FEN is the position *before* the opponent's last move, and Moves (UCI) starts with that move;
+// the rest of the line alternates solver / opponent. The header row is optional.
+//
+// player: { model, queryFormat, promptMode }
+
+const LICHESS_COLUMNS = ["PuzzleId", "FEN", "Moves", "Rating", "RatingDeviation", "Popularity", "NbPlays", "Themes", "GameUrl", "OpeningTags"];
+
+const toUci = (move) => `${move.from}${move.to}${move.promotion || ""}`;
+
+const playUci = (tracker, uci) => tracker.makeMove(uci.slice(0, 2), uci.slice(2, 4), uci[4] || null);
+
+// -> [{ id, fen, moves, rating, themes, url }], rows we can't use are dropped
+export const parsePuzzleCsv = (text) => {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  if (lines.length === 0) return [];
+
+  const hasHeader = lines[0].startsWith("PuzzleId");
+  const columns = hasHeader ? lines[0].split(",").map(c => c.trim()) : LICHESS_COLUMNS;
+
+  return lines.slice(hasHeader ? 1 : 0)
+    .map(line => {
+      const cells = line.split(",");
+      const row = Object.fromEntries(columns.map((column, i) => [column, (cells[i] || "").trim()]));
+      return {
+        id: row.PuzzleId,
+        fen: row.FEN,
+        moves: (row.Moves || "").split(/\s+/).filter(Boolean),
+        rating: row.Rating ? Number(row.Rating) : null,
+        themes: (row.Themes || "").split(/\s+/).filter(Boolean),
+        url: row.GameUrl || null,
+      };
+    })
+    .filter(p => p.id && p.fen && p.moves.length >= 2 && !ChessTracker.validateFen(p.fen));
+};
+
+// Every theme in the set, most common first
+export const listPuzzleThemes = (puzzles) => {
+  const counts = new Map();
+  puzzles.forEach(p => p.themes.forEach(t => counts.set(t, (counts.get(t) || 0) + 1)));
+  return [...counts]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([theme, count]) => ({ theme, count }));
+};
+
+// Position the solver is asked about: the puzzle FEN with the opponent's move played
+export const puzzleStart = (puzzle) => {
+  const tracker = new ChessTracker([], puzzle.fen);
+  if (!playUci(tracker, puzzle.moves[0])) throw new Error(`Puzzle ${puzzle.id}: first move ${puzzle.moves[0]} is illegal`);
+  return tracker;
+};
+
+// Plays one puzzle through the normal prompt pipeline. Every solver move must match the
+// solution, except that any mate counts (as on Lichess). The opponent's replies come from the solution.
+// -> { id, themes, rating, solved, found, needed, failure, expected, played, exchanges, error? }
+// failure: null | "wrong" | "illegal" | "unparseable" | "error" (and "invalid" from runPuzzleBenchmark)
+// Throws when the puzzle itself is broken (its moves don't fit the position).
+// promptHints: per prompt mode, as in GameContext
+export const solvePuzzle = async (puzzle, player, { promptHints = DEFAULT_PROMPT_HINTS, templates = {} } = {}) => {
+  const { model, queryFormat = "fen", promptMode = "full" } = player;
+  const hints = hintsForMode(promptHints, promptMode);
+  const tracker = puzzleStart(puzzle);
+  const side = tracker.turn();
+  // Conversation mode keeps talking about the same puzzle until it's over
+  const history = [];
+  const result = {
+    id: puzzle.id,
+    themes: puzzle.themes,
+    rating: puzzle.rating,
+    solved: false,
+    found: 0,
+    needed: Math.ceil((puzzle.moves.length - 1) / 2),
+    failure: null,
+    expected: null,
+    played: null,
+    exchanges: [],
+  };
+
+  for (let i = 1; i < puzzle.moves.length; i += 2) {
+    const solution = tracker.getLegalMoves().find(m => toUci(m) === puzzle.moves[i]);
+    if (!solution) throw new Error(`Puzzle ${puzzle.id}: solution move ${puzzle.moves[i]} is illegal`);
+    result.expected = solution.san;
+
+    const prompt = buildSmartPrompt(tracker, queryFormat, promptMode, side, templates, hints);
+    let reply;
+    try {
+      reply = await getMove(tracker, model, queryFormat, { promptMode, aiColor: side, history: [...history], retries: [], templates, hints });
+    } catch (err) {
+      return { ...result, failure: "error", error: err.message };
+    }
+    // The request failed - nothing the model said
+    if (reply?.error) return { ...result, failure: "error", error: reply.error };
+    const raw = reply?.raw || "";
+    history.push({ role: "user", content: prompt.content }, { role: "model", content: raw });
+    result.exchanges.push({ prompt: prompt.content, raw });
+
+    if (!reply?.san) return { ...result, failure: "unparseable" };
+
+    const move = tracker.makeMoveFromSan(reply.san);
+    if (!move) return { ...result, failure: "illegal", played: reply.san };
+    result.played = move.san;
+
+    const mated = tracker.isCheckmate();
+    if (toUci(move) !== puzzle.moves[i] && !mated) return { ...result, failure: "wrong" };
+
+    result.found += 1;
+    if (mated || i + 1 >= puzzle.moves.length) return { ...result, solved: true, found: result.needed };
+    playUci(tracker, puzzle.moves[i + 1]);
+  }
+
+  return result;
+};
+
+// Failed requests and broken puzzles aren't the model's fault, so accuracy leaves them out
+const tally = (results) => {
+  const solved = results.filter(r => r.solved).length;
+  const errors = results.filter(r => r.failure === "error" || r.failure === "invalid").length;
+  const answered = results.length - errors;
+  return {
+    total: results.length,
+    solved,
+    accuracy: answered ? solved / answered : 0,
+    illegal: results.filter(r => r.failure === "illegal").length,
+    unparseable: results.filter(r => r.failure === "unparseable").length,
+    errors,
+  };
+};
+
+// errors: failed requests plus broken puzzles
+// -> { total, solved, accuracy, illegal, unparseable, errors, byTheme: [{ theme, ...same counts }] }
+export const summarizePuzzleResults = (results) => {
+  const themes = new Map();
+  results.forEach(r => r.themes.forEach(theme => {
+    if (!themes.has(theme)) themes.set(theme, []);
+    themes.get(theme).push(r);
+  }));
+
+  return {
+    ...tally(results),
+    byTheme: [...themes]
+      .map(([theme, list]) => ({ theme, ...tally(list) }))
+      .sort((a, b) => b.total - a.total || a.theme.localeCompare(b.theme)),
+  };
+};
+
+// Stands in for a puzzle whose moves don't fit its position, so the rest of the run carries on
+const invalidResult = (puzzle, err) => ({
+  id: puzzle.id,
+  themes: puzzle.themes,
+  rating: puzzle.rating,
+  solved: false,
+  found: 0,
+  needed: Math.ceil((puzzle.moves.length - 1) / 2),
+  failure: "invalid",
+  expected: null,
+  played: null,
+  exchanges: [],
+  error: err.message,
+});
+
+// Every player tries every puzzle, one request at a time.
+// onResult(player, result) fires after each puzzle; shouldStop() is checked before each one.
+// A broken puzzle is recorded with failure "invalid" instead of ending the run.
+// -> [{ player, results, summary }]
+export const runPuzzleBenchmark = async (puzzles, players, { promptHints, templates, onResult, shouldStop } = {}) => {
+  const runs = [];
+  for (const player of players) {
+    const results = [];
+    for (const puzzle of puzzles) {
+      if (shouldStop?.()) break;
+      let result;
+      try {
+        result = await solvePuzzle(puzzle, player, { promptHints, templates });
+      } catch (err) {
+        result = invalidResult(puzzle, err);
+      }
+      results.push(result);
+      onResult?.(player, result);
+    }
+    runs.push({ player, results, summary: summarizePuzzleResults(results) });
+    if (shouldStop?.()) break;
+  }
+  return runs;
+};
@@ -0,0 +1,27 @@
+import { describe, expect, it } from "vitest";
+import { parsePuzzleCsv, runPuzzleBenchmark, summarizePuzzleResults } from "./puzzles";
+import { registerProvider } from "./providerRegistry";
+
+// Always answers with the puzzle's mating move
+registerProvider({
+  id: "puzzle-solver",
+  models: [{ id: "puzzle-solver", name: "Puzzle solver" }],
+  getMove: async () => ({ raw: "Qf8#", san: "Qf8#" }),
+});
+
+const CSV = `PuzzleId,FEN,Moves,Themes
+broken,q2k2nr/p1pp1p1p/n3p3/6p1/p7/Q2P2PP/2PNPP2/4K1NR b K - 1 13,a8a1 a3f8,mate mateIn1
+cl001,q2k2nr/p1pp1p1p/n3p3/6p1/p7/Q2P2PP/2PNPP2/4K1NR b K - 1 13,a8h1 a3f8,mate mateIn1`;
+
+describe("runPuzzleBenchmark", () => {
+  it("records a broken puzzle and carries on with the rest", async () => {
+    const puzzles = parsePuzzleCsv(CSV);
+    const [run] = await runPuzzleBenchmark(puzzles, [{ model: "puzzle-solver" }]);
+
+    expect(run.results.map(r => [r.id, r.failure])).toEqual([["broken", "invalid"], ["cl001", null]]);
+    expect(run.results[0].error).toMatch(/illegal/);
+    expect(run.results[1].solved).toBe(true);
+    // The broken row doesn't count against the model
+    expect(summarizePuzzleResults(run.results)).toMatchObject({ solved: 1, errors: 1, accuracy: 1 });
+  });
+});
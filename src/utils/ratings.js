@@ -0,0 +1,75 @@
+import { recordPlayers } from "./gameRecord";
+
+// Elo ratings per model + prompt configuration, replayed in game order.
+export const INITIAL_RATING = 1500;
+export const K_FACTOR = 32;
+
+const SCORES = { "1-0": 1, "0-1": 0, "1/2-1/2": 0.5 };
+
+const expectedScore = (rating, opponent) => 1 / (1 + 10 ** ((opponent - rating) / 400));
+
+// results: stored game summaries (see resultStore.js)
+// -> rows sorted by rating: { id, name, model, queryFormat, promptMode, rating, games, wins, draws, losses,
+//                             avgLength, illegalRate }
+export const computeLeaderboard = (results, { k = K_FACTOR, initial = INITIAL_RATING } = {}) => {
+  const rows = new Map();
+  const rowFor = (player) => {
+    if (!rows.has(player.id)) {
+      rows.set(player.id, {
+        ...player,
+        rating: initial,
+        games: 0,
+        wins: 0,
+        draws: 0,
+        losses: 0,
+        totalPlies: 0,
+        movesPlayed: 0,
+        illegal: 0,
+      });
+    }
+    return rows.get(player.id);
+  };
+
+  const ordered = [...results]
+    .filter(r => r.result in SCORES)
+    .sort((a, b) => new Date(a.savedAt) - new Date(b.savedAt));
+
+  for (const result of ordered) {
+    const players = recordPlayers(result);
+    const white = rowFor(players.w);
+    const black = rowFor(players.b);
+    const score = SCORES[result.result];
+
+    // Both updates use the pre-game ratings
+    const whiteExpected = expectedScore(white.rating, black.rating);
+    white.rating += k * (score - whiteExpected);
+    black.rating += k * ((1 - score) - (1 - whiteExpected));
+
+    const plies = result.plies || 0;
+    // The models only played what came after a preset opening line, from the start position's FEN.
+    // Positions with Black to move hand White the even plies instead.
+    const played = plies - (result.openingPlies || 0);
+    const whitePlies = result.settings?.startPosition?.fen?.split(" ")[1] === "b" ? Math.floor(played / 2) : Math.ceil(played / 2);
+    for (const [row, side, points] of [[white, "w", score], [black, "b", 1 - score]]) {
+      row.games += 1;
+      if (points === 1) row.wins += 1;
+      else if (points === 0) row.losses += 1;
+      else row.draws += 1;
+      row.totalPlies += plies;
+      row.movesPlayed += side === "w" ? whitePlies : played - whitePlies;
+      row.illegal += result.stats?.[side]?.illegal || 0;
+    }
+  }
+
+  return [...rows.values()]
+    .map(({ totalPlies, movesPlayed, illegal, ...row }) => ({
+      ...row,
+      rating: Math.round(row.rating),
+      // Full moves per game
+      avgLength: row.games ? totalPlies / row.games / 2 : 0,
+      // Illegal replies per move actually played (chaos-mode forced moves count as both)
+      illegalRate: movesPlayed ? illegal / movesPlayed : 0,
+      illegal,
+    }))
+    .sort((a, b) => b.rating - a.rating);
+};
@@ -0,0 +1,59 @@
+// Finished-game results kept in localStorage for the leaderboard.
+// Only what ratings need is stored (no moves): { id, savedAt, result, status, plies, openingPlies, settings, stats }.
+const STORAGE_KEY = "chessllm.gameResults";
+
+const summarize = (record) => ({
+  id: record.id,
+  savedAt: record.savedAt,
+  result: record.result,
+  status: record.status,
+  plies: record.moves ? record.moves.length : record.plies || 0,
+  openingPlies: record.openingPlies || 0,
+  settings: record.settings,
+  stats: record.stats,
+});
+
+export const loadGameResults = () => {
+  try {
+    if (typeof localStorage === "undefined") return [];
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+};
+
+const storeGameResults = (results) => {
+  if (typeof localStorage === "undefined") return;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(results));
+};
+
+// Unfinished games ("*") are never stored
+export const saveGameResult = (record) => {
+  if (!record || !record.result || record.result === "*") return;
+  storeGameResults([...loadGameResults(), summarize(record)]);
+};
+
+// Same game, so importing a file twice doesn't count it twice. Results saved without an id
+// fall back to when they were saved.
+const resultKey = (result) => result.id || `${result.savedAt}|${result.result}|${result.plies}`;
+
+// records: game records, e.g. the games[].record entries of a tournament results.json.
+// Games already stored are skipped. Returns how many were added.
+export const importGameResults = (records) => {
+  const stored = loadGameResults();
+  const seen = new Set(stored.map(resultKey));
+  const added = records
+    .filter(r => r && r.result && r.result !== "*" && r.settings)
+    .map(summarize)
+    .filter(r => {
+      const key = resultKey(r);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  storeGameResults([...stored, ...added]);
+  return added.length;
+};
+
+export const clearGameResults = () => storeGameResults([]);
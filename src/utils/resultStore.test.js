@@ -0,0 +1,34 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import { importGameResults, loadGameResults } from "./resultStore";
+
+const record = (overrides = {}) => ({
+  id: "game-1",
+  savedAt: "2026-01-01T00:00:00.000Z",
+  result: "1-0",
+  status: "checkmate",
+  moves: ["e4", "e5"],
+  settings: { gameMode: "ai-vs-ai" },
+  stats: {},
+  ...overrides,
+});
+
+describe("importGameResults", () => {
+  beforeEach(() => {
+    const items = new Map();
+    globalThis.localStorage = {
+      getItem: (key) => items.get(key) ?? null,
+      setItem: (key, value) => items.set(key, String(value)),
+    };
+  });
+
+  it("skips games that are already stored", () => {
+    expect(importGameResults([record(), record({ id: "game-2" })])).toBe(2);
+    expect(importGameResults([record(), record({ id: "game-3" })])).toBe(1);
+    expect(loadGameResults().map(r => r.id)).toEqual(["game-1", "game-2", "game-3"]);
+  });
+
+  it("tells records without an id apart by when they were saved", () => {
+    const old = record({ id: undefined });
+    expect(importGameResults([old, old, record({ id: undefined, savedAt: "2026-01-02T00:00:00.000Z" })])).toBe(2);
+  });
+});
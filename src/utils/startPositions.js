@@ -0,0 +1,53 @@
+import { Chess } from "chess.js";
+
+// Positions a game can start from instead of the normal one.
+// Openings are stored as their main line (SAN) and played through the tracker, so the moves
+// stay in the game's history; benchmark positions are FENs (endgames to convert, mates to find).
+
+export const OPENINGS = [
+  { eco: "A10", name: "English Opening", moves: ["c4"] },
+  { eco: "B01", name: "Scandinavian Defence", moves: ["e4", "d5"] },
+  { eco: "B10", name: "Caro-Kann Defence", moves: ["e4", "c6"] },
+  { eco: "B20", name: "Sicilian Defence", moves: ["e4", "c5"] },
+  { eco: "B90", name: "Sicilian Defence: Najdorf", moves: ["e4", "c5", "Nf3", "d6", "d4", "cxd4", "Nxd4", "Nf6", "Nc3", "a6"] },
+  { eco: "C00", name: "French Defence", moves: ["e4", "e6"] },
+  { eco: "C30", name: "King's Gambit", moves: ["e4", "e5", "f4"] },
+  { eco: "C42", name: "Petrov's Defence", moves: ["e4", "e5", "Nf3", "Nf6"] },
+  { eco: "C50", name: "Italian Game", moves: ["e4", "e5", "Nf3", "Nc6", "Bc4"] },
+  { eco: "C60", name: "Ruy Lopez", moves: ["e4", "e5", "Nf3", "Nc6", "Bb5"] },
+  { eco: "D02", name: "London System", moves: ["d4", "d5", "Nf3", "Nf6", "Bf4"] },
+  { eco: "D06", name: "Queen's Gambit", moves: ["d4", "d5", "c4"] },
+  { eco: "D30", name: "Queen's Gambit Declined", moves: ["d4", "d5", "c4", "e6"] },
+  { eco: "E60", name: "King's Indian Defence", moves: ["d4", "Nf6", "c4", "g6"] },
+];
+
+// category: "endgame" | "mate"
+export const BENCHMARK_POSITIONS = [
+  { id: "kq-vs-k", category: "endgame", name: "Queen vs lone king", fen: "8/8/8/4k3/8/8/8/4K2Q w - - 0 1" },
+  { id: "kr-vs-k", category: "endgame", name: "Rook vs lone king", fen: "8/8/8/4k3/8/8/8/R3K3 w - - 0 1" },
+  { id: "kp-vs-k", category: "endgame", name: "King and pawn (White wins)", fen: "4k3/8/4K3/4P3/8/8/8/8 w - - 0 1" },
+  { id: "lucena", category: "endgame", name: "Lucena position (White wins)", fen: "1K1k4/1P6/8/8/8/8/r7/2R5 w - - 0 1" },
+  { id: "mate1-back-rank", category: "mate", name: "Mate in 1: back rank", fen: "6k1/5ppp/8/8/8/8/8/R5K1 w - - 0 1" },
+  { id: "mate1-scholar", category: "mate", name: "Mate in 1: f7", fen: "r1bqkb1r/pppp1ppp/2n2n2/4p2Q/2B1P3/8/PPPP1PPP/RNB1K1NR w KQkq - 4 4" },
+  { id: "mate1-smothered", category: "mate", name: "Mate in 1: smothered", fen: "6rk/6pp/8/6N1/8/8/8/6K1 w - - 0 1" },
+  { id: "mate2-rook", category: "mate", name: "Mate in 2: king and rook", fen: "k7/8/2K5/8/8/8/8/7R w - - 0 1" },
+  { id: "mate2-black", category: "mate", name: "Mate in 2: Black to move", fen: "K7/8/2k5/8/8/8/8/7r b - - 0 1" },
+  { id: "mate3-rook", category: "mate", name: "Mate in 3: king and rook", fen: "k7/8/8/3K4/8/8/8/7R w - - 0 1" },
+];
+
+// FEN after an opening's line
+export const openingFen = (opening) => {
+  const chess = new Chess();
+  opening.moves.forEach(san => chess.move(san));
+  return chess.fen();
+};
+
+// "1. e4 c5 2. Nf3" - an opening's line as PGN movetext
+export const openingLine = (moves) => moves.map((san, i) => i % 2 === 0 ? `${i / 2 + 1}. ${san}` : san).join(" ");
+
+// Every choice as { id, name, fen, group, eco?, moves? } - what GameContext keeps as startPosition.
+// For openings fen is the position after the line, where the players take over.
+export const listStartPositions = () => [
+  ...OPENINGS.map(o => ({ id: `eco-${o.eco}`, name: o.name, eco: o.eco, moves: o.moves, fen: openingFen(o), group: "Openings" })),
+  ...BENCHMARK_POSITIONS.map(p => ({ id: p.id, name: p.name, fen: p.fen, group: p.category === "mate" ? "Mates" : "Endgames" })),
+];
@@ -0,0 +1,60 @@
+import { describe, expect, it } from "vitest";
+import { ChessTracker } from "./ChessTracker";
+import { createGameRecord, recordFromPgn, recordToPgn } from "./gameRecord";
+import { createSideStats } from "./gameStats";
+import { buildSmartPrompt } from "./modelhandler";
+import { listStartPositions, openingLine } from "./startPositions";
+
+const sicilian = () => listStartPositions().find(p => p.eco === "B20");
+
+describe("openings", () => {
+  it("are all playable from the normal position", () => {
+    for (const opening of listStartPositions().filter(p => p.moves)) {
+      const tracker = new ChessTracker();
+      tracker.playOpening(opening.moves);
+      expect(tracker.fen()).toBe(opening.fen);
+    }
+  });
+
+  it("keep their line in the move history", () => {
+    const tracker = new ChessTracker();
+    tracker.playOpening(sicilian().moves);
+
+    expect(tracker.getDetailedMoves().map(m => m.san)).toEqual(["e4", "c5"]);
+    expect(tracker.openingPlies).toBe(2);
+    expect(tracker.startFen).toBeNull();
+    expect(ChessTracker.fromState(tracker.getState()).openingPlies).toBe(2);
+    expect(openingLine(sicilian().moves)).toBe("1. e4 c5");
+  });
+
+  it("still get the AI's first conversation prompt after the line", () => {
+    const tracker = new ChessTracker();
+    tracker.playOpening(sicilian().moves);
+
+    expect(buildSmartPrompt(tracker, "pgn", "conversation", "w").type).toBe("initial");
+    tracker.makeMoveFromSan("Nf3");
+    tracker.makeMoveFromSan("d6");
+    expect(buildSmartPrompt(tracker, "pgn", "conversation", "w").type).toBe("followup");
+  });
+
+  it("export as real moves with ECO tags and come back as the same opening", () => {
+    const tracker = new ChessTracker();
+    tracker.playOpening(sicilian().moves);
+    tracker.makeMoveFromSan("Nf3");
+    const record = createGameRecord({
+      tracker,
+      settings: { gameMode: "human", playerColor: "w", model: "mock", queryFormat: "fen", promptMode: "full", startPosition: sicilian() },
+      stats: createSideStats(),
+    });
+
+    const pgn = recordToPgn(record);
+    expect(pgn).toContain('[ECO "B20"]');
+    expect(pgn).not.toContain("[FEN");
+    expect(pgn).toContain("1. e4 c5 2. Nf3");
+
+    const imported = recordFromPgn(pgn);
+    expect(imported.openingPlies).toBe(2);
+    expect(imported.startFen).toBeNull();
+    expect(imported.settings.startPosition).toMatchObject({ eco: "B20", moves: ["e4", "c5"] });
+  });
+});
@@ -0,0 +1,252 @@
+import { ChessTracker } from "./ChessTracker";
+import { playAITurn } from "./aiTurn";
+import { createSideStats, recordStatEvent } from "./gameStats";
+import { createGameId, createGameRecord, recordToPgn } from "./gameRecord";
+import { DEFAULT_PROMPT_HINTS, hintsInUse } from "./promptTemplates";
+
+// Headless model-vs-model matches - same turn runner (aiTurn.js) as GameContext.makeAIMove, minus React.
+// Driven by scripts/tournament.js, but nothing here is Node-specific.
+//
+// participant: { name, model, queryFormat, promptMode }
+// config: {
+//   participants: [participant, ...],
+//   schedule: "round-robin" | "gauntlet",  // gauntlet: participants[0] plays everyone else
+//   gamesPerPairing: 2,                     // colours alternate between games of a pairing
+//   maxGames: null,                         // stop after this many games
+//   maxMoves: 200,                          // full moves before a game is adjudicated a draw
+//   startFen: null,                         // every game starts here (null = the normal position)
+//   illegalMovePolicy: { mode, maxIllegal }, retryPolicy: { maxAttempts, fallback },
+//   promptHints, templates,                 // as in GameContext (hints per prompt mode, or one set for all)
+//   saveConversations: false,               // keep every prompt/reply in the results
+// }
+// Nobody can press "Resume AI" here, so the 'pause' fallback counts as a forfeit.
+
+export const DEFAULT_TOURNAMENT_CONFIG = {
+  event: "ChessLLM Tournament",
+  schedule: "round-robin",
+  gamesPerPairing: 2,
+  maxGames: null,
+  maxMoves: 200,
+  startFen: null,
+  illegalMovePolicy: { mode: "chaos", maxIllegal: 3 },
+  retryPolicy: { maxAttempts: 3, fallback: "forfeit" },
+  promptHints: DEFAULT_PROMPT_HINTS,
+  templates: {},
+  saveConversations: false,
+};
+
+const SIDE_NAMES = { w: "White", b: "Black" };
+
+const normalizeParticipants = (participants = []) => {
+  const list = participants.map(p => ({
+    queryFormat: "fen",
+    promptMode: "full",
+    ...p,
+    name: p.name || p.model,
+  }));
+
+  if (list.length < 2) throw new Error("A tournament needs at least two participants");
+  const missing = list.find(p => !p.model);
+  if (missing) throw new Error(`Participant "${missing.name}" has no model`);
+  const names = new Set(list.map(p => p.name));
+  if (names.size !== list.length) throw new Error("Participant names must be unique");
+  return list;
+};
+
+// -> [{ white, black, round }] with indexes into participants
+export const buildSchedule = (participants, { schedule = "round-robin", gamesPerPairing = 2 } = {}) => {
+  const pairings = [];
+  if (schedule === "gauntlet") {
+    for (let j = 1; j < participants.length; j++) pairings.push([0, j]);
+  } else if (schedule === "round-robin") {
+    for (let i = 0; i < participants.length; i++) {
+      for (let j = i + 1; j < participants.length; j++) pairings.push([i, j]);
+    }
+  } else {
+    throw new Error(`Unknown schedule "${schedule}" (expected "round-robin" or "gauntlet")`);
+  }
+
+  const games = [];
+  for (let round = 1; round <= gamesPerPairing; round++) {
+    for (const [a, b] of pairings) {
+      games.push(round % 2 === 1 ? { white: a, black: b, round } : { white: b, black: a, round });
+    }
+  }
+  return games;
+};
+
+// One AI move, retries included - see aiTurn.js. -> { move } or { forfeit: reason }
+const playTurn = (tracker, player, game, config) => {
+  const side = tracker.turn();
+  const conversation = game.conversations[side];
+  // ply: the move these entries belong to, so PGN export can attach the replies to it
+  const ply = tracker.totalMoves;
+  const { retryPolicy } = config;
+
+  return playAITurn(tracker, {
+    model: player.model,
+    queryFormat: player.queryFormat,
+    promptMode: player.promptMode,
+    // Earlier turns only - the handler appends the current prompt itself
+    history: [...conversation],
+    templates: config.templates,
+    promptHints: config.promptHints,
+    illegalMovePolicy: config.illegalMovePolicy,
+    retryPolicy: retryPolicy.fallback === "pause" ? { ...retryPolicy, fallback: "forfeit" } : retryPolicy,
+    sideName: SIDE_NAMES[side],
+    log: (entry) => conversation.push({ timestamp: Date.now(), side, ply, ...entry }),
+    recordStat: (event, moveNumber) => {
+      game.stats[side] = recordStatEvent(game.stats[side], event, moveNumber);
+    },
+    illegalCount: () => game.stats[side].illegal,
+  });
+};
+
+// -> { white, black, result, termination, reason, pgn, record, conversations? }
+export const playGame = async (white, black, config = {}, { round = 1 } = {}) => {
+  const settings = { ...DEFAULT_TOURNAMENT_CONFIG, ...config };
+  const tracker = new ChessTracker([], settings.startFen);
+  const game = { conversations: { w: [], b: [] }, stats: createSideStats() };
+  const players = { w: white, b: black };
+  const startedAt = new Date().toISOString();
+
+  let result = "*";
+  let termination = null;
+  let reason = null;
+
+  try {
+    while (!tracker.isGameOver()) {
+      if (tracker.totalMoves >= settings.maxMoves * 2) {
+        result = "1/2-1/2";
+        termination = "move cap";
+        reason = `Adjudicated a draw after ${settings.maxMoves} moves`;
+        break;
+      }
+
+      const side = tracker.turn();
+      const outcome = await playTurn(tracker, players[side], game, settings);
+      if (outcome.forfeit) {
+        result = side === "w" ? "0-1" : "1-0";
+        termination = "forfeit";
+        reason = outcome.forfeit;
+        break;
+      }
+    }
+
+    if (!termination) {
+      if (tracker.isCheckmate()) {
+        result = tracker.turn() === "w" ? "0-1" : "1-0";
+        termination = "checkmate";
+      } else {
+        result = "1/2-1/2";
+        termination = "draw";
+      }
+    }
+  } catch (e) {
+    // Provider blew up (network, bad key...) - keep what was played, score nothing
+    result = "*";
+    termination = "error";
+    reason = e.message;
+  }
+
+  // The id lets the leaderboard skip games it has already imported
+  const record = createGameRecord({
+    id: createGameId(),
+    startedAt,
+    tracker,
+    settings: {
+      gameMode: "ai-vs-ai",
+      aiPlayers: players,
+      promptHints: hintsInUse(settings.promptHints, [white.promptMode || "full", black.promptMode || "full"]),
+      templates: settings.templates,
+      illegalMovePolicy: settings.illegalMovePolicy,
+      retryPolicy: settings.retryPolicy,
+      startPosition: settings.startFen ? { id: "custom", name: "Custom position", fen: settings.startFen } : null,
+    },
+    stats: game.stats,
+    status: termination,
+    statusReason: reason,
+    result,
+  });
+
+  // Replies from both sides go in as move comments
+  const pgn = recordToPgn({ ...record, conversation: [...game.conversations.w, ...game.conversations.b] }, {
+    Event: settings.event,
+    Site: "ChessLLM headless runner",
+    Round: round,
+    White: white.name,
+    Black: black.name,
+  });
+
+  return {
+    white: white.name,
+    black: black.name,
+    round,
+    result,
+    termination,
+    reason,
+    pgn,
+    record,
+    ...(settings.saveConversations ? { conversations: game.conversations } : {}),
+  };
+};
+
+const SCORES = { "1-0": [1, 0], "0-1": [0, 1], "1/2-1/2": [0.5, 0.5] };
+
+// Points table, best first. Unfinished ("*") games count as played but score nothing.
+export const computeStandings = (participants, games) => {
+  const table = new Map(participants.map(p => [p.name, {
+    name: p.name, model: p.model, played: 0, wins: 0, draws: 0, losses: 0, points: 0, illegal: 0, forfeits: 0,
+  }]));
+
+  for (const game of games) {
+    const white = table.get(game.white);
+    const black = table.get(game.black);
+    white.played += 1;
+    black.played += 1;
+    white.illegal += game.record.stats.w.illegal;
+    black.illegal += game.record.stats.b.illegal;
+
+    const score = SCORES[game.result];
+    if (!score) continue;
+    const [w, b] = score;
+    white.points += w;
+    black.points += b;
+    if (w === b) {
+      white.draws += 1;
+      black.draws += 1;
+    } else {
+      const [winner, loser] = w > b ? [white, black] : [black, white];
+      winner.wins += 1;
+      loser.losses += 1;
+      if (game.termination === "forfeit") loser.forfeits += 1;
+    }
+  }
+
+  return [...table.values()].sort((a, b) => b.points - a.points || a.illegal - b.illegal);
+};
+
+// onGame(game, index, total) fires after every finished game
+export const runTournament = async (config, { onGame } = {}) => {
+  const settings = { ...DEFAULT_TOURNAMENT_CONFIG, ...config };
+  const participants = normalizeParticipants(settings.participants);
+  const fenError = settings.startFen ? ChessTracker.validateFen(settings.startFen) : null;
+  if (fenError) throw new Error(`Bad startFen: ${fenError}`);
+
+  let schedule = buildSchedule(participants, settings);
+  if (settings.maxGames) schedule = schedule.slice(0, settings.maxGames);
+
+  const games = [];
+  for (const [index, pairing] of schedule.entries()) {
+    const game = await playGame(participants[pairing.white], participants[pairing.black], settings, { round: pairing.round });
+    games.push(game);
+    if (onGame) onGame(game, index, schedule.length);
+  }
+
+  return {
+    event: settings.event,
+    participants,
+    games,
+    standings: computeStandings(participants, games),
+  };
+};
@@ -0,0 +1,88 @@
+import { describe, expect, it } from "vitest";
+import { buildSchedule, computeStandings, runTournament } from "./tournament";
+import "./handlers/MockHandler";
+
+const PARTICIPANTS = [
+  { name: "A", model: "mock" },
+  { name: "B", model: "mock" },
+  { name: "C", model: "mock" },
+];
+
+const pairs = (games) => games.map(g => [g.white, g.black, g.round]);
+
+// Just what computeStandings reads from a played game
+const game = (white, black, result, { termination = null, illegal = [0, 0] } = {}) => ({
+  white,
+  black,
+  result,
+  termination,
+  record: { stats: { w: { illegal: illegal[0] }, b: { illegal: illegal[1] } } },
+});
+
+describe("buildSchedule", () => {
+  it("pairs everyone once per round in a round robin, swapping colours each round", () => {
+    expect(pairs(buildSchedule(PARTICIPANTS))).toEqual([
+      [0, 1, 1], [0, 2, 1], [1, 2, 1],
+      [1, 0, 2], [2, 0, 2], [2, 1, 2],
+    ]);
+  });
+
+  it("only pairs the first participant with the others in a gauntlet", () => {
+    expect(pairs(buildSchedule(PARTICIPANTS, { schedule: "gauntlet", gamesPerPairing: 3 }))).toEqual([
+      [0, 1, 1], [0, 2, 1],
+      [1, 0, 2], [2, 0, 2],
+      [0, 1, 3], [0, 2, 3],
+    ]);
+  });
+
+  it("rejects an unknown schedule", () => {
+    expect(() => buildSchedule(PARTICIPANTS, { schedule: "swiss" })).toThrow(/Unknown schedule "swiss"/);
+  });
+});
+
+describe("computeStandings", () => {
+  it("scores wins, draws, losses and forfeits", () => {
+    const standings = computeStandings(PARTICIPANTS, [
+      game("A", "B", "1-0"),
+      game("B", "C", "1/2-1/2"),
+      game("C", "A", "0-1", { termination: "forfeit", illegal: [3, 0] }),
+    ]);
+
+    expect(standings.map(s => [s.name, s.points, s.wins, s.draws, s.losses, s.forfeits, s.illegal])).toEqual([
+      ["A", 2, 2, 0, 0, 0, 0],
+      ["B", 0.5, 0, 1, 1, 0, 0],
+      ["C", 0.5, 0, 1, 1, 1, 3],
+    ]);
+  });
+
+  it("counts unfinished games as played without scoring them", () => {
+    const [a, b] = computeStandings(PARTICIPANTS.slice(0, 2), [game("A", "B", "*")]);
+
+    expect([a.played, a.points, b.played, b.points]).toEqual([1, 0, 1, 0]);
+    expect(a.wins + a.draws + a.losses).toBe(0);
+  });
+
+  it("breaks ties on points by fewer illegal moves, then keeps entry order", () => {
+    const standings = computeStandings(PARTICIPANTS, [
+      game("A", "B", "1/2-1/2", { illegal: [2, 0] }),
+      game("C", "A", "1/2-1/2"),
+      game("B", "C", "1/2-1/2"),
+    ]);
+
+    expect(standings.map(s => s.name)).toEqual(["B", "C", "A"]);
+  });
+});
+
+describe("runTournament", () => {
+  it("plays the scheduled games up to maxGames and ranks the players", async () => {
+    const results = await runTournament({
+      participants: [{ name: "Mock", model: "mock" }, { name: "Mock 2", model: "mock" }],
+      maxGames: 1,
+      maxMoves: 3,
+    });
+
+    expect(results.games).toHaveLength(1);
+    expect(results.games[0]).toMatchObject({ white: "Mock", black: "Mock 2" });
+    expect(results.standings.map(s => s.played)).toEqual([1, 1]);
+  });
+});